@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+// What each participant role may do in a room
+const ROLE_PERMISSIONS = {
+  host: { produceAudio: true, produceVideo: true, shareScreen: true, moderate: true },
+  participant: { produceAudio: true, produceVideo: true, shareScreen: true, moderate: false },
+  viewer: { produceAudio: false, produceVideo: false, shareScreen: false, moderate: false }
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Checked here rather than in config.js, which cannot require this module
+if (!ROLES.includes(config.defaultRole)) {
+  throw new Error(`Unknown role in DEFAULT_ROLE: ${config.defaultRole} (use ${ROLES.join(', ')})`);
+}
+
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer;
+}
+
+function can(role, permission) {
+  return getPermissions(role)[permission] === true;
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+// Join tokens are HS256 JWTs: { room, name, role, exp, sub? }
+function signJoinToken(claims, secret = config.joinTokenSecret) {
+  if (!secret) {
+    throw new Error("JOIN_TOKEN_SECRET is not configured");
+  }
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  const signature = hmac(`${header}.${payload}`, secret).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Returns the token claims or throws with the reason the token was rejected
+function verifyJoinToken(token, secret = config.joinTokenSecret) {
+  if (!secret) {
+    throw new Error("join tokens are not enabled");
+  }
+  if (typeof token !== 'string') {
+    throw new Error("malformed token");
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error("malformed token");
+  }
+
+  const [header, payload, signature] = parts;
+  let headerData, claims;
+  try {
+    headerData = JSON.parse(Buffer.from(header, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw new Error("malformed token");
+  }
+
+  if (headerData.alg !== 'HS256') {
+    throw new Error("unsupported algorithm");
+  }
+
+  const expected = hmac(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error("bad signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new Error("token expired");
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw new Error("token not yet valid");
+  }
+  if (typeof claims.room !== 'string' || !claims.room) {
+    throw new Error("token has no room");
+  }
+  if (!ROLES.includes(claims.role)) {
+    throw new Error("unknown role");
+  }
+
+  return claims;
+}
+
+// Room passcodes are stored as salted scrypt hashes
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) {
+    return false;
+  }
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Failed passcode attempts per client address
+const PasswordThrottle = {
+  attempts: new Map(), // address -> { failures, firstFailureAt, blockedUntil }
+
+  // Milliseconds until the address may try again, 0 when it is not blocked
+  getRetryAfter(address) {
+    const entry = this.attempts.get(address);
+    if (!entry || entry.blockedUntil <= Date.now()) {
+      return 0;
+    }
+    return entry.blockedUntil - Date.now();
+  },
+
+  recordFailure(address) {
+    const now = Date.now();
+    let entry = this.attempts.get(address);
+    if (!entry || now - entry.firstFailureAt > config.passwordAttemptWindowMs) {
+      entry = { failures: 0, firstFailureAt: now, blockedUntil: 0 };
+      this.attempts.set(address, entry);
+    }
+
+    entry.failures++;
+    if (entry.failures >= config.passwordMaxAttempts) {
+      entry.blockedUntil = now + config.passwordLockoutMs;
+      entry.failures = 0;
+      entry.firstFailureAt = now;
+    }
+    return this.getRetryAfter(address);
+  },
+
+  reset(address) {
+    this.attempts.delete(address);
+  },
+
+  prune() {
+    const now = Date.now();
+    this.attempts.forEach((entry, address) => {
+      if (entry.blockedUntil <= now && now - entry.firstFailureAt > config.passwordAttemptWindowMs) {
+        this.attempts.delete(address);
+      }
+    });
+  }
+};
+
+setInterval(() => PasswordThrottle.prune(), 60 * 1000).unref();
+
+module.exports = {
+  ROLES,
+  getPermissions,
+  can,
+  signJoinToken,
+  verifyJoinToken,
+  hashPassword,
+  verifyPassword,
+  PasswordThrottle
+};
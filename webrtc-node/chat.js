@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Chat text is stored and sent HTML-escaped, without control characters
+function sanitizeChatText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, config.chatMaxLength)
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function createChatMessage(sender, text, recipient = null) {
+  return {
+    id: crypto.randomUUID(),
+    from: sender.id,
+    name: sender.name,
+    userIndex: sender.userIndex,
+    text: text,
+    timestamp: Date.now(),
+    to: recipient ? recipient.id : null,
+    toName: recipient ? recipient.name : null,
+    private: Boolean(recipient)
+  };
+}
+
+module.exports = {
+  sanitizeChatText,
+  createChatMessage
+};
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const config = require("./config");
+const { createRtpPipe, createSdp } = require("./rtp-pipe");
+
+// Backoff cap when ffmpeg keeps failing, e.g. while the RTMP/SRT endpoint is down
+const MAX_RESTART_DELAY_MS = 60000;
+
+// Even sizes keep yuv420p happy
+function even(value) {
+  return Math.floor(value / 2) * 2;
+}
+
+// Output kind from COMPOSITE_OUTPUT_URL - empty means a file next to the recordings
+function getOutputTarget(url) {
+  if (!url) return 'file';
+  if (/^rtmps?:\/\//i.test(url)) return 'rtmp';
+  if (/^srt:\/\//i.test(url)) return 'srt';
+  throw new Error(`Unsupported COMPOSITE_OUTPUT_URL: ${url} (use rtmp://, rtmps:// or srt://)`);
+}
+
+// Tile positions by slot, laid out like the page: scr0..N in a grid,
+// and with a presentation the cameras move to a strip above it
+function computeLayout(hasPresentation) {
+  const width = config.compositeWidth;
+  const height = config.compositeHeight;
+  const slots = config.maxUsers;
+
+  if (!hasPresentation) {
+    const cols = Math.min(3, slots);
+    const rows = Math.ceil(slots / cols);
+    const tileWidth = even(width / cols);
+    const tileHeight = even(height / rows);
+    return {
+      cameras: Array.from({ length: slots }, (_, slot) => ({
+        x: (slot % cols) * tileWidth,
+        y: Math.floor(slot / cols) * tileHeight,
+        width: tileWidth,
+        height: tileHeight
+      })),
+      presentation: null
+    };
+  }
+
+  const stripHeight = even(height / 4);
+  const tileWidth = even(width / slots);
+  return {
+    cameras: Array.from({ length: slots }, (_, slot) => ({
+      x: slot * tileWidth,
+      y: 0,
+      width: tileWidth,
+      height: stripHeight
+    })),
+    presentation: { x: 0, y: stripHeight, width: even(width), height: even(height - stripHeight) }
+  };
+}
+
+// ffmpeg filter graph: video tiles overlaid on a black canvas, all audio mixed.
+// Input stream N is the Nth m-line of the SDP, i.e. inputs[N].
+function buildFilterGraph(inputs) {
+  const layout = computeLayout(inputs.some(input => input.role === 'presentation'));
+  const filters = [
+    `color=c=black:s=${even(config.compositeWidth)}x${even(config.compositeHeight)}:r=${config.compositeFramerate}[base]`
+  ];
+
+  let canvas = 'base';
+  const audioLabels = [];
+  inputs.forEach((input, index) => {
+    if (input.kind === 'audio') {
+      audioLabels.push(`[0:${index}]`);
+      return;
+    }
+
+    const tile = input.role === 'presentation' ? layout.presentation : layout.cameras[input.slot];
+    if (!tile) return;
+
+    filters.push(`[0:${index}]scale=${tile.width}:${tile.height}:force_original_aspect_ratio=decrease,` +
+      `pad=${tile.width}:${tile.height}:(ow-iw)/2:(oh-ih)/2,setsar=1[v${index}]`);
+    filters.push(`[${canvas}][v${index}]overlay=x=${tile.x}:y=${tile.y}[o${index}]`);
+    canvas = `o${index}`;
+  });
+  filters.push(`[${canvas}]null[vout]`);
+
+  if (audioLabels.length > 1) {
+    filters.push(`${audioLabels.join('')}amix=inputs=${audioLabels.length}:dropout_transition=0[aout]`);
+  } else if (audioLabels.length === 1) {
+    filters.push(`${audioLabels[0]}anull[aout]`);
+  } else {
+    filters.push('anullsrc=r=48000:cl=stereo[aout]');
+  }
+
+  return filters.join(';');
+}
+
+// Single mixed output of a room (grid of cameras, the first presentation, all audio).
+// ffmpeg is restarted whenever the set of producers changes; file output gets a new segment each time.
+function createComposite(room, startedBy) {
+  const startedAt = new Date();
+  const id = startedAt.toISOString().replace(/[:.]/g, '-');
+  const target = getOutputTarget(config.compositeOutputUrl);
+
+  return {
+    id,
+    target,
+    startedAt: startedAt.toISOString(),
+    startedBy,
+    stoppedAt: null,
+    dir: path.join(config.recordingsDir, room.id),
+    segment: 0,
+    generation: 0, // bumped on every restart so stale pipe setups are dropped
+    pipes: [],
+    process: null,
+    processStartedAt: null,
+    restartTimer: null,
+    failures: 0, // unexpected ffmpeg exits in a row, for the restart backoff
+
+    async start() {
+      if (this.target === 'file') {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+      await this.restart();
+      console.log(`📺 Composite ${this.id} started in ${room.id} (${this.target})`);
+    },
+
+    // Camera video by userIndex, the lowest presentationIndex screen video, every audio producer.
+    // Paused (muted) producers send no RTP and overlay/amix would wait on them forever,
+    // so they are left out like absent ones - the server restarts the mix when they resume.
+    selectInputs() {
+      const inputs = [];
+      let presentation = null;
+
+      room.producers.forEach((producerData, producerId) => {
+        // WHIP presentations have no user behind them
+        const userState = room.getUserBySocketId(producerData.socketId);
+        if (!userState && producerData.source === 'camera') return;
+        if (producerData.producer.paused) return;
+
+        if (producerData.kind === 'audio') {
+          inputs.push({ producerId, producer: producerData.producer, kind: 'audio', role: producerData.source });
+        } else if (producerData.source === 'camera') {
+          inputs.push({ producerId, producer: producerData.producer, kind: 'video', role: 'camera', slot: userState.userIndex });
+        } else if (!presentation || producerData.presentationIndex < presentation.slot) {
+          presentation = { producerId, producer: producerData.producer, kind: 'video', role: 'presentation', slot: producerData.presentationIndex };
+        }
+      });
+
+      if (presentation) {
+        inputs.push(presentation);
+      }
+      return inputs;
+    },
+
+    getOutputArgs() {
+      if (this.target === 'rtmp') {
+        return ['-f', 'flv', config.compositeOutputUrl];
+      }
+      if (this.target === 'srt') {
+        return ['-f', 'mpegts', config.compositeOutputUrl];
+      }
+      this.segment++;
+      return ['-f', 'matroska', '-y', path.join(this.dir, `composite-${this.id}-${this.segment}.mkv`)];
+    },
+
+    scheduleRestart(delay = config.compositeRestartDelayMs) {
+      if (this.stoppedAt) return;
+      clearTimeout(this.restartTimer);
+      this.restartTimer = setTimeout(() => {
+        this.restart().catch(error => {
+          console.error(`Failed to restart composite in ${room.id}:`, error);
+        });
+      }, delay);
+    },
+
+    // ffmpeg died on its own - retry with a growing delay instead of leaving the mix down
+    handleFailure(ffmpeg, reason) {
+      if (this.process !== ffmpeg) return;
+      console.error(`Composite ffmpeg in ${room.id} ${reason}`);
+      this.stopOutput();
+
+      // A run longer than the longest backoff was a working output, so count from scratch
+      if (Date.now() - this.processStartedAt > MAX_RESTART_DELAY_MS) {
+        this.failures = 0;
+      }
+      this.failures++;
+      const delay = Math.min(config.compositeRestartDelayMs * 2 ** this.failures, MAX_RESTART_DELAY_MS);
+      console.log(`📺 Restarting composite in ${room.id} in ${delay}ms (failure ${this.failures})`);
+      this.scheduleRestart(delay);
+    },
+
+    async restart() {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+      this.stopOutput();
+      if (this.stoppedAt) return;
+
+      const generation = ++this.generation;
+      const inputs = this.selectInputs();
+      if (inputs.length === 0) {
+        console.log(`📺 Composite in ${room.id} is waiting for media`);
+        return;
+      }
+
+      const pipes = [];
+      try {
+        for (const input of inputs) {
+          pipes.push(await createRtpPipe(room.router, input.producer));
+        }
+      } catch (error) {
+        pipes.forEach(pipe => pipe.close());
+        throw error;
+      }
+
+      if (this.stoppedAt || generation !== this.generation) {
+        pipes.forEach(pipe => pipe.close());
+        return;
+      }
+
+      const ffmpeg = spawn(config.ffmpegPath, [
+        '-loglevel', 'error',
+        '-protocol_whitelist', 'pipe,udp,rtp',
+        '-fflags', '+genpts',
+        '-f', 'sdp',
+        '-i', 'pipe:0',
+        '-filter_complex', buildFilterGraph(inputs),
+        '-map', '[vout]',
+        '-map', '[aout]',
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-tune', 'zerolatency',
+        '-pix_fmt', 'yuv420p',
+        '-b:v', config.compositeVideoBitrate,
+        '-g', String(config.compositeFramerate * 2),
+        '-c:a', 'aac',
+        '-b:a', '128k',
+        '-ar', '48000',
+        ...this.getOutputArgs()
+      ]);
+
+      this.pipes = pipes;
+      this.process = ffmpeg;
+      this.processStartedAt = Date.now();
+
+      ffmpeg.on('error', (error) => this.handleFailure(ffmpeg, `failed: ${error.message}`));
+      ffmpeg.on('exit', (code) => this.handleFailure(ffmpeg, `exited with code ${code}`));
+      ffmpeg.stderr.on('data', (data) => {
+        console.warn(`ffmpeg [composite ${room.id}]: ${data.toString().trim()}`);
+      });
+      ffmpeg.stdin.on('error', () => {});
+      ffmpeg.stdin.end(createSdp(pipes));
+
+      pipes.forEach(pipe => {
+        pipe.consumer.on('producerclose', () => this.scheduleRestart());
+      });
+
+      // Give ffmpeg a moment to bind its ports before media starts flowing
+      setTimeout(() => {
+        if (generation !== this.generation) return;
+        pipes.forEach(pipe => pipe.start().catch(error => {
+          console.error(`Failed to start composite pipe in ${room.id}:`, error);
+        }));
+      }, config.recordingStartDelayMs);
+
+      const labels = inputs.map(input => {
+        if (input.kind === 'audio') return `${input.role} audio`;
+        return input.role === 'presentation' ? `pr${input.slot}` : `scr${input.slot}`;
+      });
+      console.log(`📺 Composite in ${room.id}: ${inputs.length} inputs (${labels.join(', ')})`);
+    },
+
+    stopOutput() {
+      const ffmpeg = this.process;
+      this.process = null;
+      if (ffmpeg && ffmpeg.exitCode === null) {
+        // SIGINT lets ffmpeg finish the file or stream
+        ffmpeg.kill('SIGINT');
+      }
+
+      this.pipes.forEach(pipe => pipe.close());
+      this.pipes = [];
+    },
+
+    stop() {
+      if (this.stoppedAt) return;
+      this.stoppedAt = new Date().toISOString();
+      this.generation++;
+      clearTimeout(this.restartTimer);
+      this.stopOutput();
+      console.log(`📺 Composite ${this.id} stopped in ${room.id}`);
+    },
+
+    getStatus() {
+      return {
+        active: this.stoppedAt === null,
+        target: this.target,
+        startedAt: this.startedAt,
+        startedBy: this.startedBy
+      };
+    }
+  };
+}
+
+module.exports = {
+  createComposite
+};
@@ -1,8 +1,65 @@
 const path = require('path');
+const os = require('os');
 
 // Load environment variables
 require('dotenv').config();
 
+// Comma separated list from the environment, e.g. "VP9,H264"
+function parseList(value, fallback) {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const videoStartBitrate = parseInt(process.env.VIDEO_START_BITRATE) || 1000; // kbps
+
+// Video codecs the router can offer, by name
+const VIDEO_CODECS = {
+  VP8: {
+    kind: "video",
+    mimeType: "video/VP8",
+    clockRate: 90000,
+    parameters: {
+      'x-google-start-bitrate': videoStartBitrate
+    }
+  },
+  VP9: {
+    kind: "video",
+    mimeType: "video/VP9",
+    clockRate: 90000,
+    parameters: {
+      'profile-id': parseInt(process.env.VP9_PROFILE_ID) || 0,
+      'x-google-start-bitrate': videoStartBitrate
+    }
+  },
+  H264: {
+    kind: "video",
+    mimeType: "video/H264",
+    clockRate: 90000,
+    parameters: {
+      'packetization-mode': process.env.H264_PACKETIZATION_MODE === '0' ? 0 : 1,
+      'profile-level-id': process.env.H264_PROFILE_LEVEL_ID || '42e01f',
+      'level-asymmetry-allowed': 1,
+      'x-google-start-bitrate': videoStartBitrate
+    }
+  },
+  AV1: {
+    kind: "video",
+    mimeType: "video/AV1",
+    clockRate: 90000,
+    parameters: {
+      'x-google-start-bitrate': videoStartBitrate
+    }
+  }
+};
+
+const videoCodecNames = parseList(process.env.VIDEO_CODECS, ['VP8', 'VP9', 'H264'])
+  .map(name => name.toUpperCase());
+videoCodecNames.forEach(name => {
+  if (!VIDEO_CODECS[name]) {
+    throw new Error(`Unknown video codec in VIDEO_CODECS: ${name} (use ${Object.keys(VIDEO_CODECS).join(', ')})`);
+  }
+});
+
 const config = {
   // Server
   port: process.env.PORT || 3000,
@@ -10,8 +67,68 @@ const config = {
   
   // Room limits
   maxUsers: parseInt(process.env.MAX_USERS) || 3,
+  maxViewers: parseInt(process.env.MAX_VIEWERS) || 50, // receive-only viewers, they take no scr slot
   maxScreenShares: parseInt(process.env.MAX_SCREEN_SHARES) || 2,
+
+  // Waiting room: hold arriving users until a host admits them
+  lobbyEnabled: process.env.LOBBY_ENABLED === 'true',
+  lobbyTimeoutMs: parseInt(process.env.LOBBY_TIMEOUT_MS) || 5 * 60 * 1000,
+
+  // How long a dropped user keeps their slot and media while reconnecting (0 disables resume)
+  reconnectGraceMs: process.env.RECONNECT_GRACE_MS ? parseInt(process.env.RECONNECT_GRACE_MS) : 30000,
+
+  // Rooms (served at ${urlPrefix}/r/:roomId, ${urlPrefix}/ opens the default room)
+  defaultRoomId: process.env.DEFAULT_ROOM_ID || 'main',
   
+  // Recording - each producer is written by ffmpeg to RECORDINGS_DIR/<roomId>/<recordingId>/
+  recordingsDir: process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'),
+  recordingSources: parseList(process.env.RECORDING_SOURCES, ['camera', 'screen']),
+  recordingStartDelayMs: parseInt(process.env.RECORDING_START_DELAY_MS) || 1000,
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+
+  // Composite output - one mixed stream per room, to COMPOSITE_OUTPUT_URL (rtmp:// or srt://)
+  // or, when that is empty, to RECORDINGS_DIR/<roomId>/composite-*.mkv
+  compositeOutputUrl: process.env.COMPOSITE_OUTPUT_URL || '',
+  compositeWidth: parseInt(process.env.COMPOSITE_WIDTH) || 1280,
+  compositeHeight: parseInt(process.env.COMPOSITE_HEIGHT) || 720,
+  compositeFramerate: parseInt(process.env.COMPOSITE_FRAMERATE) || 30,
+  compositeVideoBitrate: process.env.COMPOSITE_VIDEO_BITRATE || '2500k',
+  compositeRestartDelayMs: parseInt(process.env.COMPOSITE_RESTART_DELAY_MS) || 1000,
+
+  // Local UDP ports for RTP sent to ffmpeg - keep them outside RTC_MIN_PORT..RTC_MAX_PORT
+  rtpPipeMinPort: parseInt(process.env.RTP_PIPE_MIN_PORT) || 60000,
+  rtpPipeMaxPort: parseInt(process.env.RTP_PIPE_MAX_PORT) || 60999,
+
+  // Speaker detection
+  activeSpeakerIntervalMs: parseInt(process.env.ACTIVE_SPEAKER_INTERVAL_MS) || 300,
+  audioLevelIntervalMs: parseInt(process.env.AUDIO_LEVEL_INTERVAL_MS) || 500,
+  audioLevelThreshold: parseInt(process.env.AUDIO_LEVEL_THRESHOLD) || -70, // dBov, quieter is silence
+
+  // Chat
+  chatHistoryLimit: parseInt(process.env.CHAT_HISTORY_LIMIT) || 200,
+  chatMaxLength: parseInt(process.env.CHAT_MAX_LENGTH) || 2000,
+
+  // Join tokens (HS256, issued by your backend or issue-token.js)
+  joinTokenSecret: process.env.JOIN_TOKEN_SECRET || '',
+  requireJoinToken: process.env.REQUIRE_JOIN_TOKEN === 'true',
+  defaultRole: process.env.DEFAULT_ROLE || 'participant', // role for connections without a token
+
+  // WHIP ingest at ${urlPrefix}/r/:roomId/whip (a join token as bearer): time an encoder has to connect
+  // after its offer, and to recover after its connection drops
+  whipConnectTimeoutMs: parseInt(process.env.WHIP_CONNECT_TIMEOUT_MS) || 15000,
+
+  // Room passcodes: failed attempts per address before a temporary block
+  passwordMaxAttempts: parseInt(process.env.PASSWORD_MAX_ATTEMPTS) || 5,
+  passwordAttemptWindowMs: parseInt(process.env.PASSWORD_ATTEMPT_WINDOW_MS) || 5 * 60 * 1000,
+  passwordLockoutMs: parseInt(process.env.PASSWORD_LOCKOUT_MS) || 5 * 60 * 1000,
+
+  // Bearer token required to scrape ${urlPrefix}/metrics (empty leaves it open)
+  metricsToken: process.env.METRICS_TOKEN || '',
+
+  // Trust X-Forwarded-For from the reverse proxy (nginx) for client addresses - only enable
+  // it when the server is reachable through the proxy alone, the header is forgeable otherwise
+  trustProxy: process.env.TRUST_PROXY === 'true',
+
   // URL configuration
   urlPrefix: process.env.URL_PREFIX || '/zzy',
   socketPath: process.env.SOCKET_PATH || '/zzy/socket.io',
@@ -20,15 +137,26 @@ const config = {
   announcedIp: process.env.ANNOUNCED_IP || '146.103.125.231',
   listenIp: process.env.LISTEN_IP || '0.0.0.0',
   
+  // Mediasoup workers (one per CPU core by default)
+  numWorkers: parseInt(process.env.MEDIASOUP_WORKERS) || os.cpus().length,
+  rtcMinPort: parseInt(process.env.RTC_MIN_PORT) || 10000,
+  rtcMaxPort: parseInt(process.env.RTC_MAX_PORT) || 59999,
+
   // Media configuration
   initialOutgoingBitrate: parseInt(process.env.INITIAL_OUTGOING_BITRATE) || 1000000,
+
+  // Simulcast - camera video is sent in three layers (1/4, 1/2 and full resolution).
+  // Each viewer gets the layer that fits the tile height it reports (device pixels).
+  simulcastEnabled: process.env.SIMULCAST_ENABLED !== 'false',
+  simulcastMidLayerHeight: parseInt(process.env.SIMULCAST_MID_LAYER_HEIGHT) || 240,
+  simulcastHighLayerHeight: parseInt(process.env.SIMULCAST_HIGH_LAYER_HEIGHT) || 480,
   
   // Derived paths
   get publicPath() {
     return path.join(__dirname, 'public');
   },
   
-  // Media codecs (static configuration)
+  // Media codecs - Opus plus the video codecs listed in VIDEO_CODECS
   mediaCodecs: [
     {
       kind: "audio",
@@ -40,12 +168,12 @@ const config = {
         useinbandfec: 1
       }
     },
-    {
-      kind: "video",
-      mimeType: "video/VP8",
-      clockRate: 90000,
-    }
-  ]
+    ...videoCodecNames.map(name => VIDEO_CODECS[name])
+  ],
+
+  // Codec preference per source; the client uses the first one both the browser and router support
+  cameraCodecPreference: parseList(process.env.CAMERA_CODEC_PREFERENCE, ['VP8', 'H264', 'VP9', 'AV1']),
+  screenCodecPreference: parseList(process.env.SCREEN_CODEC_PREFERENCE, ['VP9', 'H264', 'VP8', 'AV1'])
 };
 
 // Validate required environment variables
@@ -0,0 +1,20 @@
+// Issue a join token for testing: node issue-token.js <roomId> <name> [role] [ttlSeconds]
+const config = require("./config");
+const { ROLES, signJoinToken } = require("./auth");
+
+const [roomId, name, role = 'participant', ttl = '3600'] = process.argv.slice(2);
+
+if (!roomId || !name || !ROLES.includes(role)) {
+  console.error(`Usage: node issue-token.js <roomId> <name> [${ROLES.join('|')}] [ttlSeconds]`);
+  process.exit(1);
+}
+
+const token = signJoinToken({
+  room: roomId,
+  name,
+  role,
+  exp: Math.floor(Date.now() / 1000) + parseInt(ttl)
+});
+
+console.log(token);
+console.log(`${config.urlPrefix}/r/${roomId}?token=${token}`);
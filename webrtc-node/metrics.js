@@ -0,0 +1,165 @@
+// Prometheus metrics in the text exposition format, served at ${urlPrefix}/metrics
+
+// Upper bounds (seconds) of the request latency histogram
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Reasons a user could not get into a call or send media, reported even while zero
+const JOIN_FAILURE_REASONS = [
+  'room_full',
+  'room_locked',
+  'invalid_password',
+  'invalid_token',
+  'banned',
+  'lobby_denied',
+  'screen_share_limit',
+  'transport_error'
+];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family: HELP and TYPE lines followed by a line per sample
+function writeFamily(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+  samples.forEach(({ suffix = '', labels, value }) => {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  });
+}
+
+// Number of items per label set, e.g. producers by { room, kind, source }
+function countBy(items, getLabels) {
+  const counts = new Map();
+  items.forEach(item => {
+    const labels = getLabels(item);
+    const key = JSON.stringify(labels);
+    if (!counts.has(key)) {
+      counts.set(key, { labels, value: 0 });
+    }
+    counts.get(key).value++;
+  });
+  return Array.from(counts.values());
+}
+
+const Metrics = {
+  joinFailures: new Map(JOIN_FAILURE_REASONS.map(reason => [reason, 0])),
+  requestLatencies: new Map(), // "type|name|status" -> { labels, bucketCounts, sum, count }
+
+  recordJoinFailure(reason) {
+    this.joinFailures.set(reason, (this.joinFailures.get(reason) || 0) + 1);
+  },
+
+  // type is 'http' or 'socket', name the route pattern or event
+  observeRequest(type, name, status, seconds) {
+    const key = `${type}|${name}|${status}`;
+    let entry = this.requestLatencies.get(key);
+    if (!entry) {
+      entry = { labels: { type, name, status }, bucketCounts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      this.requestLatencies.set(key, entry);
+    }
+
+    LATENCY_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) entry.bucketCounts[index]++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+  },
+
+  async render(rooms, workers) {
+    const lines = [];
+    const roomList = Array.from(rooms.values());
+
+    writeFamily(lines, 'webrtc_rooms', 'gauge', 'Open conference rooms', [{ value: roomList.length }]);
+
+    const users = [];
+    const transports = [];
+    const producers = [];
+    const consumers = [];
+    roomList.forEach(room => {
+      room.users.forEach(userState => users.push({ room: room.id, role: userState.role }));
+      room.transports.forEach(transportData => transports.push({ room, ...transportData }));
+      room.producers.forEach(producerData => producers.push({ room: room.id, kind: producerData.kind, source: producerData.source }));
+      room.consumers.forEach(consumerData => {
+        const producerData = room.producers.get(consumerData.producerId);
+        consumers.push({
+          room: room.id,
+          kind: consumerData.consumer.kind,
+          source: producerData ? producerData.source : 'unknown'
+        });
+      });
+    });
+
+    writeFamily(lines, 'webrtc_users', 'gauge', 'Users in a call by room and role',
+      countBy(users, user => ({ room: user.room, role: user.role })));
+    writeFamily(lines, 'webrtc_lobby_waiting', 'gauge', 'Users waiting in the lobby by room',
+      roomList.map(room => ({ labels: { room: room.id }, value: room.waiting.size })));
+    writeFamily(lines, 'webrtc_transports', 'gauge', 'WebRTC transports by room and direction',
+      countBy(transports, transportData => ({ room: transportData.room.id, direction: transportData.direction })));
+    writeFamily(lines, 'webrtc_producers', 'gauge', 'Producers by room, kind and source',
+      countBy(producers, producer => producer));
+    writeFamily(lines, 'webrtc_consumers', 'gauge', 'Consumers by room, kind and source of the consumed producer',
+      countBy(consumers, consumer => consumer));
+
+    // Worker resource usage - getResourceUsage() reports CPU time in ms and max RSS in KiB
+    const usages = await Promise.all(workers.map(async worker => {
+      try {
+        return { pid: worker.pid, usage: await worker.getResourceUsage() };
+      } catch (error) {
+        return null;
+      }
+    }));
+    const workerUsages = usages.filter(Boolean);
+    writeFamily(lines, 'mediasoup_worker_cpu_seconds_total', 'counter', 'CPU time used by a mediasoup worker',
+      workerUsages.flatMap(({ pid, usage }) => [
+        { labels: { pid, mode: 'user' }, value: usage.ru_utime / 1000 },
+        { labels: { pid, mode: 'system' }, value: usage.ru_stime / 1000 }
+      ]));
+    writeFamily(lines, 'mediasoup_worker_max_rss_bytes', 'gauge', 'Peak resident memory of a mediasoup worker',
+      workerUsages.map(({ pid, usage }) => ({ labels: { pid }, value: usage.ru_maxrss * 1024 })));
+
+    // Transports can close while their stats are being read
+    const transportStats = await Promise.all(transports.map(async transportData => {
+      try {
+        const [stats] = await transportData.transport.getStats();
+        return stats ? { transportData, stats } : null;
+      } catch (error) {
+        return null;
+      }
+    }));
+    const bitrates = transportStats.filter(Boolean);
+    const transportLabels = ({ transportData }) => ({
+      room: transportData.room.id,
+      transport: transportData.transport.id,
+      direction: transportData.direction
+    });
+    writeFamily(lines, 'webrtc_transport_recv_bitrate_bps', 'gauge', 'Current receive bitrate of a transport',
+      bitrates.map(entry => ({ labels: transportLabels(entry), value: entry.stats.recvBitrate || 0 })));
+    writeFamily(lines, 'webrtc_transport_send_bitrate_bps', 'gauge', 'Current send bitrate of a transport',
+      bitrates.map(entry => ({ labels: transportLabels(entry), value: entry.stats.sendBitrate || 0 })));
+
+    writeFamily(lines, 'webrtc_join_failures_total', 'counter', 'Rejected joins and media requests by reason',
+      Array.from(this.joinFailures.entries()).map(([reason, value]) => ({ labels: { reason }, value })));
+
+    writeFamily(lines, 'webrtc_request_duration_seconds', 'histogram', 'REST and Socket.IO request latency',
+      Array.from(this.requestLatencies.values()).flatMap(entry => [
+        ...LATENCY_BUCKETS.map((bound, index) => ({
+          suffix: '_bucket',
+          labels: { ...entry.labels, le: bound },
+          value: entry.bucketCounts[index]
+        })),
+        { suffix: '_bucket', labels: { ...entry.labels, le: '+Inf' }, value: entry.count },
+        { suffix: '_sum', labels: entry.labels, value: entry.sum },
+        { suffix: '_count', labels: entry.labels, value: entry.count }
+      ]));
+
+    return lines.join('\n') + '\n';
+  }
+};
+
+module.exports = Metrics;
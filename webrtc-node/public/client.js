@@ -3,10 +3,38 @@ const CONFIG = window.SERVER_CONFIG || {
   SOCKET_URL: window.location.origin,
   URL_PREFIX: "/zzy",
   SOCKET_PATH: "/zzy/socket.io",
+  ROOM_ID: "main",
+  REQUIRE_JOIN_TOKEN: false,
   MAX_USERS: 3,
-  MAX_SCREEN_SHARES: 2
+  MAX_VIEWERS: 50,
+  MAX_SCREEN_SHARES: 2,
+  SIMULCAST: true,
+  CAMERA_CODEC_PREFERENCE: ['VP8', 'H264', 'VP9', 'AV1'],
+  SCREEN_CODEC_PREFERENCE: ['VP9', 'H264', 'VP8', 'AV1']
 };
 
+// Camera video layers for simulcast, lowest first (the server picks one per viewer)
+const SIMULCAST_ENCODINGS = [
+  { rid: 'r0', scaleResolutionDownBy: 4, maxBitrate: 150000, scalabilityMode: 'L1T3' },
+  { rid: 'r1', scaleResolutionDownBy: 2, maxBitrate: 500000, scalabilityMode: 'L1T3' },
+  { rid: 'r2', scaleResolutionDownBy: 1, maxBitrate: 1200000, scalabilityMode: 'L1T3' }
+];
+
+// How often the stats overlay refreshes
+const STATS_INTERVAL_MS = 1000;
+
+// How often our outbound stats are checked for the uplink quality
+const QUALITY_INTERVAL_MS = 2000;
+
+// Devices and camera/mic choices from the pre-join screen, kept for the next visit
+const MEDIA_PREFERENCES_KEY = 'webrtc-conference-media';
+
+// Resume token of the current session, kept per tab so a reload can take the slot back
+const RESUME_TOKEN_KEY = `webrtc-conference-resume:${CONFIG.ROOM_ID}`;
+
+// Signed join token issued by the backend, passed as ?token=...
+const JOIN_TOKEN = new URLSearchParams(window.location.search).get('token');
+
 console.log("🔧 Client configuration:", CONFIG);
 
 class VideoConference {
@@ -15,7 +43,8 @@ class VideoConference {
         this.device = null;
         this.producerTransport = null;
         this.consumers = new Map();
-        this.consumerTransports = new Map();
+        this.consumerTransport = null;
+        this.consumerTransportPromise = null; // shared while the recv transport is being created
         this.producers = new Map();
         this.localStream = null;
         this.screenStream = null;
@@ -23,6 +52,71 @@ class VideoConference {
         this.isSharingScreen = false;
         this.videoEnabled = true;
         this.audioEnabled = true;
+        this.hostMuted = { audio: false, video: false }; // only a host can lift these
+        this.rejoinRequested = false;
+
+        // Session resume after a network drop or a reload (token from the last 'init')
+        this.resumeToken = this.loadResumeToken();
+        this.reconnecting = false;
+
+        // Role and permissions assigned by the server in 'init'
+        this.role = null;
+        this.permissions = { produceAudio: true, produceVideo: true, shareScreen: true, moderate: false };
+        this.initPromise = null;
+        this.resolveInit = null;
+        this.rejectInit = null;
+        this.lobbyEnabled = false;
+        this.viewerPanelOpen = false;
+        this.roomLocked = false;
+        this.roomPasswordProtected = false;
+        this.recording = false;
+        this.compositeActive = false;
+
+        // Tile sizes reported to the server for simulcast layer selection
+        this.tileReportTimers = new Map();
+        this.tileResizeObserver = new ResizeObserver(entries => {
+            entries.forEach(entry => this.scheduleTileReport(entry.target));
+        });
+        this.tileVisibilityObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                entry.target.dataset.visible = entry.isIntersecting;
+                this.scheduleTileReport(entry.target);
+            });
+        });
+
+        // Speaker detection
+        this.activeSpeakerId = null;
+        this.speakerView = false;
+
+        // Stats overlay
+        this.statsEnabled = false;
+        this.statsTimer = null;
+        this.statsSamples = new Map(); // sample key -> { bytes, timestamp } for bitrates
+
+        // Network quality - mediasoup scores are 0-10, tiles show 0-5 bars
+        this.producerScores = new Map(); // own producerId -> score
+        this.consumerScores = new Map(); // consumed producerId -> { score, producerScore }
+        this.uplinkStatsLevel = null; // from our own outbound stats
+        this.uplinkSample = null;
+        this.poorUplinkSamples = 0;
+        this.qualityTimer = null;
+
+        // Chat
+        this.chatOpen = false;
+        this.chatMessageIds = new Set();
+        this.unreadChatCount = 0;
+
+        // Pre-join preview
+        this.mediaPreferences = this.loadMediaPreferences();
+        this.previewStream = null;
+        this.previewGeneration = 0; // bumped so a slow getUserMedia for an old preview is dropped
+        this.micMeter = null;
+
+        // In-call device settings
+        this.devicePanelOpen = false;
+        this.mediaMode = 'full'; // 'full', 'data-saver' or 'audio-only', see setMediaMode
+        this.videoEnabledBeforeAudioOnly = false; // camera state restored when leaving audio-only
+        this.audioOutputId = this.mediaPreferences.speakerId; // differs from the preference after a fallback
 
         // Server-managed tracking
         this.userStates = new Map();
@@ -49,6 +143,9 @@ class VideoConference {
         this.updateRoomStatus();
         this.initializeVideoSwitcher();
         this.setupGlobalClickHandlers(); // CHANGED: Use global click handlers
+        this.initializeChat();
+        this.initializePrejoin();
+        this.initializeDevicePanel();
     }
 
     setupEventListeners() {
@@ -56,6 +153,24 @@ class VideoConference {
         document.getElementById('screenShareBtn').addEventListener('click', () => this.toggleScreenShare());
         document.getElementById('toggleVideoBtn').addEventListener('click', () => this.toggleVideo());
         document.getElementById('toggleAudioBtn').addEventListener('click', () => this.toggleAudio());
+        document.getElementById('lobbyBtn').addEventListener('click', () => this.toggleLobby());
+        document.getElementById('viewersBtn').addEventListener('click', () => this.toggleViewerPanel());
+        document.getElementById('viewerPanelCloseBtn').addEventListener('click', () => this.toggleViewerPanel(false));
+        document.getElementById('lockRoomBtn').addEventListener('click', () => this.toggleRoomLock());
+        document.getElementById('roomPasswordBtn').addEventListener('click', () => this.setRoomPassword());
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('compositeBtn').addEventListener('click', () => this.toggleComposite());
+        document.getElementById('speakerViewBtn').addEventListener('click', () => this.toggleSpeakerView());
+        document.getElementById('statsBtn').addEventListener('click', () => this.toggleStats());
+        document.addEventListener('visibilitychange', () => {
+            document.querySelectorAll('[data-video-consumer-id]').forEach(tile => this.scheduleTileReport(tile));
+        });
+        // Closing the tab is a leave, not a network drop the server should wait for
+        window.addEventListener('pagehide', () => {
+            if (this.socket) {
+                this.socket.disconnect();
+            }
+        });
     }
 
     // NEW: Setup global click handlers that work even after DOM changes
@@ -177,6 +292,8 @@ class VideoConference {
 
         // Add presentations - FIXED: Use actual presentationIndex from server
         this.presentations.forEach((presentation, producerId) => {
+            // Audio plays in the tile of the video next to it
+            if (presentation.kind === 'audio') return;
             const isOwn = presentation.socketId === this.socket.id;
             const name = isOwn ? 'Your Screen Share' : `${presentation.peerName}'s Screen`;
             this.addSwitcherItem(`presentation-${producerId}`, name, 'presentation', 'pr' + presentation.presentationIndex);
@@ -496,15 +613,48 @@ class VideoConference {
     async startConference() {
         if (this.isStarted) return;
 
+        if (CONFIG.REQUIRE_JOIN_TOKEN && !JOIN_TOKEN) {
+            alert('This conference requires an invitation link with a join token.');
+            return;
+        }
+
         try {
             const startBtn = document.getElementById('startBtn');
             startBtn.disabled = true;
             startBtn.textContent = 'Joining...';
 
             console.log("🔌 Connecting to signaling server...");
+            this.initPromise = new Promise((resolve, reject) => {
+                this.resolveInit = resolve;
+                this.rejectInit = reject;
+            });
+            this.videoEnabled = this.mediaPreferences.videoEnabled;
+            this.audioEnabled = this.mediaPreferences.audioEnabled;
+            this.applyLocalMediaState();
+
+            const auth = {
+                roomId: CONFIG.ROOM_ID,
+                name: document.getElementById('username').value.trim() || 'User',
+                videoEnabled: this.videoEnabled,
+                audioEnabled: this.audioEnabled
+            };
+            const roomPassword = document.getElementById('roomPassword').value;
+            if (roomPassword) {
+                auth.password = roomPassword;
+            }
+            if (JOIN_TOKEN) {
+                auth.token = JOIN_TOKEN;
+            }
+            // Viewers only receive and do not take one of the MAX_USERS slots
+            if (document.getElementById('joinAsViewerToggle').checked) {
+                auth.viewer = true;
+            }
+            // Evaluated on every (re)connect so automatic reconnects resume the session
             this.socket = io(CONFIG.SOCKET_URL, {
                 path: CONFIG.SOCKET_PATH,
-                transports: ["polling", "websocket"]
+                transports: ["polling", "websocket"],
+                // A token from before a reload tells the server to drop the media of the old page
+                auth: (callback) => callback(this.resumeToken ? { ...auth, resumeToken: this.resumeToken, reloaded: !this.isStarted } : auth)
             });
             this.setupSocketListeners();
 
@@ -523,28 +673,26 @@ class VideoConference {
                 });
             });
 
-            console.log("🎥 Requesting user media...");
-            this.localStream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    frameRate: { ideal: 30 }
-                },
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                }
-            });
+            await this.initPromise;
+            const canSendMedia = this.permissions.produceAudio || this.permissions.produceVideo;
 
-            this.setupLocalVideo();
+            if (canSendMedia) {
+                console.log("🎥 Taking over the preview media...");
+                this.localStream = await this.createLocalStream();
+                this.setupLocalVideo();
+            } else {
+                console.log(`👀 Joining as ${this.role}, no local media`);
+                this.stopPreview();
+                document.getElementById('localStatus').textContent = 'Viewer';
+            }
+            document.getElementById('prejoinSection').style.display = 'none';
 
             const username = document.getElementById('username').value.trim() || 'User';
             console.log(`📛 Setting username: ${username}`);
             this.socket.emit('set-name', username);
 
             console.log("📡 Loading router capabilities...");
-            const rtpCapabilities = await this.fetchJSON(`${CONFIG.URL_PREFIX}/router-rtp-capabilities`);
+            const rtpCapabilities = await this.request('get-router-rtp-capabilities');
 
             console.log("🔧 Initializing device...");
             this.device = new mediasoupClient.Device();
@@ -555,24 +703,30 @@ class VideoConference {
 
             await this.processPendingProducers();
 
-            console.log("🚚 Creating producer transport...");
-            try {
-                await this.createProducerTransport();
+            if (canSendMedia || this.permissions.shareScreen) {
+                console.log("🚚 Creating producer transport...");
+                try {
+                    await this.createProducerTransport();
 
-                console.log("🎬 Producing camera tracks...");
-                await this.produceCameraTracks();
-            } catch (transportError) {
-                if (transportError.message.includes('Room is full')) {
-                    console.warn('⚠️ User joined as receiver-only (room full)');
-                } else {
-                    throw transportError;
+                    if (this.localStream) {
+                        console.log("🎬 Producing camera tracks...");
+                        await this.produceCameraTracks();
+                    }
+                } catch (transportError) {
+                    if (transportError.message.includes('Room is full')) {
+                        console.warn('⚠️ User joined as receiver-only (room full)');
+                    } else {
+                        throw transportError;
+                    }
                 }
             }
 
+            this.applyPermissions();
             document.getElementById('mediaControls').style.display = 'flex';
 
             this.isStarted = true;
             startBtn.textContent = 'Joined';
+            this.qualityTimer = setInterval(() => this.updateUplinkQuality(), QUALITY_INTERVAL_MS);
 
             console.log('✅ Conference started successfully');
 
@@ -590,562 +744,2293 @@ class VideoConference {
                 this.socket.disconnect();
                 this.socket = null;
             }
+            this.showPrejoin();
         }
     }
 
-    setupLocalVideo() {
-        const localVideo = document.getElementById('localVideo');
-        localVideo.srcObject = this.localStream;
-        localVideo.muted = true;
-        localVideo.playsInline = true;
-        document.getElementById('localStatus').textContent = 'Connected';
-    }
-
-    async createProducerTransport() {
-        try {
-            const transportData = await this.fetchJSON(`${CONFIG.URL_PREFIX}/create-transport`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    socketId: this.socket.id,
-                    direction: 'send'
-                })
-            });
-
-            this.producerTransport = this.device.createSendTransport(transportData);
+    // Pre-join screen: device picker, live preview and mic level meter
+    initializePrejoin() {
+        const videoToggle = document.getElementById('joinVideoToggle');
+        const audioToggle = document.getElementById('joinAudioToggle');
+        videoToggle.checked = this.mediaPreferences.videoEnabled;
+        audioToggle.checked = this.mediaPreferences.audioEnabled;
+
+        videoToggle.addEventListener('change', () => {
+            this.mediaPreferences.videoEnabled = videoToggle.checked;
+            this.saveMediaPreferences();
+            this.updatePreview();
+        });
+        audioToggle.addEventListener('change', () => {
+            this.mediaPreferences.audioEnabled = audioToggle.checked;
+            this.saveMediaPreferences();
+            this.updatePreview();
+        });
 
-            this.producerTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
-                try {
-                    console.log("🔗 Connecting producer transport...");
-                    await this.fetchJSON(`${CONFIG.URL_PREFIX}/connect-transport`, {
-                        method: 'POST',
-                        body: JSON.stringify({
-                            transportId: this.producerTransport.id,
-                            dtlsParameters
-                        })
-                    });
-                    console.log("✅ Producer transport connected");
-                    callback();
-                } catch (error) {
-                    console.error("❌ Producer transport connection failed:", error);
-                    errback(error);
-                }
+        [['cameraSelect', 'cameraId'], ['micSelect', 'micId']].forEach(([selectId, key]) => {
+            document.getElementById(selectId).addEventListener('change', (event) => {
+                this.mediaPreferences[key] = event.target.value;
+                this.saveMediaPreferences();
+                this.updatePreview();
             });
+        });
+        document.getElementById('speakerSelect').addEventListener('change', (event) => {
+            this.switchSpeaker(event.target.value);
+        });
 
-            this.producerTransport.on('produce', async ({ kind, rtpParameters }, callback, errback) => {
-                try {
-                    console.log(`📦 Producing ${kind} track...`);
-                    const { id } = await this.fetchJSON(`${CONFIG.URL_PREFIX}/produce`, {
-                        method: 'POST',
-                        body: JSON.stringify({
-                            transportId: this.producerTransport.id,
-                            kind,
-                            rtpParameters,
-                            socketId: this.socket.id,
-                            source: this.isSharingScreen ? 'screen' : 'camera'
-                        })
-                    });
-                    console.log(`✅ Produced ${kind} track: ${id}`);
-                    callback({ id });
+        // Browsers without setSinkId always play through the default output
+        if (!('setSinkId' in HTMLMediaElement.prototype)) {
+            document.getElementById('speakerSelectLabel').style.display = 'none';
+            document.getElementById('deviceSpeakerSelectLabel').style.display = 'none';
+        }
 
-                    if (this.isSharingScreen) {
-                        this.activeScreenProducers.add(id);
-                        console.log(`📝 Added screen producer to active set: ${id}`);
-                    }
-                } catch (error) {
-                    console.error(`❌ Produce failed for ${kind}:`, error);
-                    errback(error);
-                }
-            });
+        this.updatePreview();
+    }
 
-            this.producerTransport.on('connectionstatechange', (state) => {
-                console.log(`🔗 Producer transport state: ${state}`);
-            });
+    loadMediaPreferences() {
+        const defaults = { cameraId: '', micId: '', speakerId: '', videoEnabled: true, audioEnabled: true };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(MEDIA_PREFERENCES_KEY) || '{}') };
+        } catch (error) {
+            return defaults;
+        }
+    }
 
+    saveMediaPreferences() {
+        try {
+            localStorage.setItem(MEDIA_PREFERENCES_KEY, JSON.stringify(this.mediaPreferences));
         } catch (error) {
-            if (error.message.includes('Room is full')) {
-                console.warn('⚠️ Room is full, but user is already connected. Continuing as receive-only.');
-                return;
-            }
-            console.error("❌ Failed to create producer transport:", error);
-            throw error;
+            console.warn('⚠️ Could not save media preferences:', error.message);
         }
     }
 
-    async produceCameraTracks() {
+    loadResumeToken() {
         try {
-            const audioTrack = this.localStream.getAudioTracks()[0];
-            if (audioTrack) {
-                const producer = await this.producerTransport.produce({ track: audioTrack });
-                this.producers.set('camera-audio', producer);
-                console.log("✅ Produced camera audio");
-            }
+            return sessionStorage.getItem(RESUME_TOKEN_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
 
-            const videoTrack = this.localStream.getVideoTracks()[0];
-            if (videoTrack) {
-                const producer = await this.producerTransport.produce({ track: videoTrack });
-                this.producers.set('camera-video', producer);
-                console.log("✅ Produced camera video");
+    saveResumeToken(token) {
+        this.resumeToken = token;
+        try {
+            if (token) {
+                sessionStorage.setItem(RESUME_TOKEN_KEY, token);
+            } else {
+                sessionStorage.removeItem(RESUME_TOKEN_KEY);
             }
         } catch (error) {
-            console.error("❌ Failed to produce camera tracks:", error);
-            throw error;
+            console.warn('⚠️ Could not save the resume token:', error.message);
         }
     }
 
-    async produceScreenTracks() {
-        if (!this.screenStream) return;
+    // Remembered devices are only preferred, so a missing one falls back to the default.
+    // A device picked during the call is required exactly, and null asks for the default device.
+    getMediaConstraints(kind, deviceId) {
+        const preferredId = kind === 'video' ? this.mediaPreferences.cameraId : this.mediaPreferences.micId;
+        let deviceConstraint;
+        if (deviceId === undefined) {
+            deviceConstraint = preferredId ? { ideal: preferredId } : undefined;
+        } else if (deviceId) {
+            deviceConstraint = { exact: deviceId };
+        }
 
-        console.log("🔄 Starting to produce screen tracks...");
+        if (kind === 'video') {
+            return {
+                deviceId: deviceConstraint,
+                width: { ideal: 1280 },
+                height: { ideal: 720 },
+                frameRate: { ideal: 30 }
+            };
+        }
+        return {
+            deviceId: deviceConstraint,
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+    }
 
-        try {
-            const screenVideoTrack = this.screenStream.getVideoTracks()[0];
-            if (screenVideoTrack) {
-                const producer = await this.producerTransport.produce({ track: screenVideoTrack });
-                this.producers.set('screen-video', producer);
-                console.log("✅ Screen video producer created:", producer.id);
-            } else {
-                console.log("❌ No screen video track found");
-            }
+    async acquireTrack(kind, deviceId) {
+        const stream = await navigator.mediaDevices.getUserMedia({ [kind]: this.getMediaConstraints(kind, deviceId) });
+        return kind === 'video' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+    }
 
-            const screenAudioTrack = this.screenStream.getAudioTracks()[0];
-            if (screenAudioTrack) {
-                const producer = await this.producerTransport.produce({ track: screenAudioTrack });
-                this.producers.set('screen-audio', producer);
-                console.log("✅ Screen audio producer created:", producer.id);
-            } else {
-                console.log("ℹ️ No screen audio track available");
+    async updatePreview() {
+        const generation = ++this.previewGeneration;
+        this.stopPreview(false);
+
+        const { videoEnabled, audioEnabled } = this.mediaPreferences;
+        const previewVideo = document.getElementById('previewVideo');
+        const previewStatus = document.getElementById('previewStatus');
+        previewStatus.textContent = videoEnabled ? '' : 'Camera off';
+
+        let stream = null;
+        if (videoEnabled || audioEnabled) {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: videoEnabled ? this.getMediaConstraints('video') : false,
+                    audio: audioEnabled ? this.getMediaConstraints('audio') : false
+                });
+            } catch (error) {
+                console.warn('⚠️ Preview failed:', error);
+                previewStatus.textContent = `No access to camera or microphone (${error.name})`;
             }
-        } catch (error) {
-            console.error("❌ Failed to produce screen tracks:", error);
-            throw error;
         }
-    }
 
-    setupSocketListeners() {
-        this.socket.on('connect', () => {
-            console.log('✅ Connected to signaling server');
-            this.updateRoomStatus();
-        });
+        if (generation !== this.previewGeneration) {
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            return;
+        }
 
-        this.socket.on('disconnect', (reason) => {
-            console.log('❌ Disconnected from signaling server:', reason);
-            this.handleDisconnect();
-        });
+        this.previewStream = stream;
+        previewVideo.srcObject = stream;
+        this.startMicMeter(stream ? stream.getAudioTracks()[0] : null);
 
-        this.socket.on('connect_error', (error) => {
-            console.error('❌ Connection error:', error);
-        });
+        // Device labels are only available once the page has media permission
+        await this.populateDeviceLists();
+    }
 
-        this.socket.on('room-full', () => {
-            alert(`Conference room is full (maximum ${CONFIG.MAX_USERS} users). Please try again later.`);
-            document.getElementById('startBtn').disabled = false;
-            document.getElementById('startBtn').textContent = 'Join Conference';
-        });
+    // Stops the preview; with invalidate the result of a running updatePreview is dropped too
+    stopPreview(invalidate = true) {
+        if (invalidate) {
+            this.previewGeneration++;
+        }
+        this.stopMicMeter();
+        if (this.previewStream) {
+            this.previewStream.getTracks().forEach(track => track.stop());
+            this.previewStream = null;
+        }
+        document.getElementById('previewVideo').srcObject = null;
+    }
 
-        this.socket.on('room-status', (data) => {
-            this.updateRoomStatus(data);
-        });
+    showPrejoin() {
+        document.getElementById('prejoinSection').style.display = '';
+        this.updatePreview();
+    }
 
-        this.socket.on('user-video-toggled', (data) => {
-            console.log(`📹 User ${data.socketId} video toggled: ${data.enabled}`);
-            this.updateUserMediaStatus(data.socketId, 'video', data.enabled);
-        });
+    // Fills the pre-join and in-call device pickers, returns the devices found
+    async populateDeviceLists() {
+        let devices = [];
+        try {
+            devices = await navigator.mediaDevices.enumerateDevices();
+        } catch (error) {
+            console.warn('⚠️ Could not list media devices:', error);
+        }
 
-        this.socket.on('user-audio-toggled', (data) => {
-            console.log(`🎤 User ${data.socketId} audio toggled: ${data.enabled}`);
-            this.updateUserMediaStatus(data.socketId, 'audio', data.enabled);
-        });
+        const activeDeviceId = (stream, kind) => {
+            const track = stream && stream.getTracks().find(t => t.kind === kind);
+            return track ? track.getSettings().deviceId : '';
+        };
 
-        this.socket.on('init', (data) => {
-            console.log('🎯 Received init data for user index:', data.userIndex);
-            this.myUserIndex = data.userIndex;
-            this.updateLocalUserIndex(this.myUserIndex);
+        [
+            ['cameraSelect', 'videoinput', this.mediaPreferences.cameraId || activeDeviceId(this.previewStream, 'video'), 'Camera'],
+            ['micSelect', 'audioinput', this.mediaPreferences.micId || activeDeviceId(this.previewStream, 'audio'), 'Microphone'],
+            ['speakerSelect', 'audiooutput', this.audioOutputId, 'Speaker'],
+            // In the call the device actually in use wins, it differs from the preference after a fallback
+            ['deviceCameraSelect', 'videoinput', activeDeviceId(this.localStream, 'video') || this.mediaPreferences.cameraId, 'Camera'],
+            ['deviceMicSelect', 'audioinput', activeDeviceId(this.localStream, 'audio') || this.mediaPreferences.micId, 'Microphone'],
+            ['deviceSpeakerSelect', 'audiooutput', this.audioOutputId, 'Speaker']
+        ].forEach(([selectId, kind, selectedId, fallbackLabel]) => {
+            const select = document.getElementById(selectId);
+            const kindDevices = devices.filter(device => device.kind === kind);
+
+            select.innerHTML = '';
+            kindDevices.forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.disabled = kindDevices.length === 0;
+            if (kindDevices.some(device => device.deviceId === selectedId)) {
+                select.value = selectedId;
+            }
+        });
+        return devices;
+    }
 
-            data.currentUsers.forEach(user => {
-                this.addUser(user.socketId, user.name, user.userIndex, user.videoEnabled, user.audioEnabled);
+    startMicMeter(track) {
+        this.stopMicMeter();
+        if (!track) return;
+
+        const audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        audioContext.createMediaStreamSource(new MediaStream([track])).connect(analyser);
+
+        const samples = new Uint8Array(analyser.fftSize);
+        const meterLevel = document.getElementById('micMeterLevel');
+        const draw = () => {
+            analyser.getByteTimeDomainData(samples);
+            let sum = 0;
+            samples.forEach(sample => {
+                const value = (sample - 128) / 128;
+                sum += value * value;
             });
+            // RMS scaled up so normal speech fills most of the bar
+            meterLevel.style.width = `${Math.min(100, Math.sqrt(sum / samples.length) * 300)}%`;
+            this.micMeter.frame = requestAnimationFrame(draw);
+        };
+        this.micMeter = { audioContext, frame: requestAnimationFrame(draw) };
+    }
 
-            data.currentProducers.forEach(producer => {
-                if (producer.isScreen) {
-                    this.pendingPresentations.push(producer);
+    stopMicMeter() {
+        if (!this.micMeter) return;
+        cancelAnimationFrame(this.micMeter.frame);
+        this.micMeter.audioContext.close();
+        this.micMeter = null;
+        document.getElementById('micMeterLevel').style.width = '0%';
+    }
+
+    // Local media for the call: the preview tracks the role may send, the rest acquired now.
+    // Media that is off is not captured at all until it is turned on (see setCameraMediaEnabled).
+    async createLocalStream() {
+        const kinds = [];
+        if (this.permissions.produceVideo && this.videoEnabled) kinds.push('video');
+        if (this.permissions.produceAudio && this.audioEnabled) kinds.push('audio');
+
+        const stream = new MediaStream();
+        const preview = this.previewStream;
+        this.previewStream = null;
+        this.stopPreview();
+
+        if (preview) {
+            preview.getTracks().forEach(track => {
+                if (kinds.includes(track.kind) && track.readyState === 'live') {
+                    stream.addTrack(track);
                 } else {
-                    this.pendingProducers.push(producer);
+                    track.stop();
                 }
             });
+        }
 
-            console.log(`📦 Buffered ${this.pendingProducers.length} producers and ${this.pendingPresentations.length} presentations`);
-        });
+        for (const kind of kinds) {
+            if (stream.getTracks().some(track => track.kind === kind)) continue;
+            stream.addTrack(await this.acquireTrack(kind));
+        }
+        return stream;
+    }
 
-        this.socket.on('user-joined', (data) => {
-            this.addUser(data.socketId, data.name, data.userIndex, data.videoEnabled, data.audioEnabled);
+    // Plays a remote media element through the selected audio output
+    applySpeaker(element) {
+        if (!element || typeof element.setSinkId !== 'function' || element.sinkId === this.audioOutputId) return;
+        element.setSinkId(this.audioOutputId).catch(error => {
+            console.warn('⚠️ Could not switch audio output:', error.message);
         });
+    }
 
-        this.socket.on('user-updated', (data) => {
-            this.updateUser(data.socketId, data.name, data.userIndex, data.videoEnabled, data.audioEnabled);
-        });
+    // In-call device settings: camera, microphone and speaker can be changed without rejoining
+    initializeDevicePanel() {
+        this.devicePanel = document.getElementById('devicePanel');
 
-        this.socket.on('user-left', (data) => {
-            this.removeUser(data.socketId);
+        document.getElementById('devicesBtn').addEventListener('click', () => this.toggleDevicePanel());
+        document.getElementById('devicePanelCloseBtn').addEventListener('click', () => this.toggleDevicePanel(false));
+        document.getElementById('deviceCameraSelect').addEventListener('change', (event) => {
+            this.switchInputDevice('video', event.target.value);
         });
-
-        this.socket.on('new-producer', async (data) => {
-            console.log('📹 Received new-producer event from:', data.peerName);
-            if (!this.deviceReady) {
-                console.log('📦 Buffering producer until device is ready');
-                this.pendingProducers.push(data);
-                return;
-            }
-            await this.consumeUserProducer(data);
+        document.getElementById('deviceMicSelect').addEventListener('change', (event) => {
+            this.switchInputDevice('audio', event.target.value);
         });
-
-        this.socket.on('new-presentation', async (data) => {
-            console.log('🖥️ Received new-presentation event from:', data.peerName);
-            if (!this.deviceReady) {
-                console.log('📦 Buffering presentation until device is ready');
-                this.pendingPresentations.push(data);
-                return;
-            }
-            await this.consumePresentation(data);
+        document.getElementById('deviceSpeakerSelect').addEventListener('change', (event) => {
+            this.switchSpeaker(event.target.value);
         });
-
-        this.socket.on('presentation-ended', (data) => {
-            console.log('📺 Received presentation-ended event:', data);
-            this.removePresentation(data.producerId);
+        document.getElementById('mediaModeSelect').addEventListener('change', (event) => {
+            this.setMediaMode(event.target.value);
         });
+
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
     }
 
-    updateUserMediaStatus(socketId, mediaType, enabled) {
-        const userElement = document.getElementById(`user-${socketId}`);
-        if (!userElement) {
-            console.warn(`User element not found for ${socketId}`);
-            return;
+    toggleDevicePanel(open = !this.devicePanelOpen) {
+        this.devicePanelOpen = open;
+        this.devicePanel.style.display = open ? 'flex' : 'none';
+        if (open) {
+            document.getElementById('deviceCameraLabel').style.display = this.permissions.produceVideo ? '' : 'none';
+            document.getElementById('deviceMicLabel').style.display = this.permissions.produceAudio ? '' : 'none';
+            this.populateDeviceLists();
         }
+    }
 
-        const userState = this.userStates.get(socketId);
-        if (userState) {
-            if (mediaType === 'video') {
-                userState.videoEnabled = enabled;
-            } else if (mediaType === 'audio') {
-                userState.audioEnabled = enabled;
-            }
+    // Swaps the camera or microphone under the existing producer (replaceTrack), so there is
+    // no renegotiation and the others keep consuming the same producer id
+    async switchInputDevice(kind, deviceId, remember = true) {
+        const label = kind === 'audio' ? 'microphone' : 'camera';
+        if (remember) {
+            this.mediaPreferences[kind === 'audio' ? 'micId' : 'cameraId'] = deviceId || '';
+            this.saveMediaPreferences();
         }
 
-        const videoIndicator = userElement.querySelector('.status-video-active, .status-video-muted');
-        const audioIndicator = userElement.querySelector('.status-audio-active, .status-audio-muted');
+        // Media that is off is not captured yet - the preferred device is used when it is turned on
+        const oldTrack = this.localStream && this.localStream.getTracks().find(track => track.kind === kind);
+        if (!oldTrack) return;
 
-        if (videoIndicator && mediaType === 'video') {
-            videoIndicator.className = `status-indicator status-video-${enabled ? 'active' : 'muted'}`;
-            videoIndicator.textContent = enabled ? '📹' : '🚫';
+        let track;
+        try {
+            track = await this.acquireTrack(kind, deviceId);
+        } catch (error) {
+            console.error(`❌ Failed to switch ${label}:`, error);
+            this.showNotice(`Could not switch ${label}: ${error.message}`);
+            this.populateDeviceLists();
+            return;
         }
 
-        if (audioIndicator && mediaType === 'audio') {
-            audioIndicator.className = `status-indicator status-audio-${enabled ? 'active' : 'muted'}`;
-            audioIndicator.textContent = enabled ? '🎤' : '🚫';
+        // Left the call or switched again while the device was opening
+        if (!this.localStream || !this.localStream.getTracks().includes(oldTrack)) {
+            track.stop();
+            return;
         }
 
-        console.log(`✅ Updated ${mediaType} status for ${socketId}: ${enabled ? 'enabled' : 'disabled'}`);
-
-        if (this.videoSwitcher.style.display === 'block') {
-            this.updateVideoSwitcherList();
+        track.enabled = kind === 'audio' ? this.audioEnabled : this.videoEnabled;
+        const producer = this.producers.get(`camera-${kind}`);
+        try {
+            if (producer) {
+                await producer.replaceTrack({ track });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to switch ${label}:`, error);
+            track.stop();
+            this.showNotice(`Could not switch ${label}: ${error.message}`);
+            this.populateDeviceLists();
+            return;
         }
+
+        this.localStream.removeTrack(oldTrack);
+        oldTrack.onended = null;
+        oldTrack.stop();
+        this.localStream.addTrack(track);
+        this.watchLocalTrack(track);
+        console.log(`🔄 Switched ${label} to ${track.label || 'default device'}`);
+        this.populateDeviceLists();
     }
 
-    async processPendingProducers() {
-        if (this.pendingProducers.length === 0 && this.pendingPresentations.length === 0) {
+    // Audio-only: no camera video is sent and the server pauses incoming video.
+    // Data saver: the server sends the lowest camera layer and low frame rate screen shares.
+    async setMediaMode(mode) {
+        if (mode === this.mediaMode) return;
+
+        try {
+            await this.request('set-media-mode', { mode });
+        } catch (error) {
+            console.error(`❌ Failed to switch to ${mode} mode:`, error);
+            this.showNotice(error.message);
+            this.renderMediaMode();
             return;
         }
 
-        console.log(`🔄 Processing ${this.pendingProducers.length} pending producers and ${this.pendingPresentations.length} pending presentations`);
-
-        for (const producer of this.pendingProducers) {
-            try {
-                await this.consumeUserProducer(producer);
-            } catch (error) {
-                console.error(`❌ Failed to process pending producer ${producer.id}:`, error);
+        const previousMode = this.mediaMode;
+        this.mediaMode = mode;
+        if (mode === 'audio-only') {
+            this.videoEnabledBeforeAudioOnly = this.videoEnabled;
+            // The server closed its side of the camera producer
+            const producer = this.producers.get('camera-video');
+            if (producer) {
+                producer.close();
+                this.producers.delete('camera-video');
+                this.producerScores.delete(producer.id);
             }
+            const track = this.localStream && this.localStream.getVideoTracks()[0];
+            if (track) {
+                track.onended = null;
+                track.stop();
+                this.localStream.removeTrack(track);
+            }
+            this.videoEnabled = false;
+            this.applyLocalMediaState();
+        } else if (previousMode === 'audio-only' && this.videoEnabledBeforeAudioOnly) {
+            await this.restoreCameraAfterAudioOnly();
         }
+        console.log(`📶 Switched to ${mode} mode`);
+        this.renderMediaMode();
+    }
 
-        for (const presentation of this.pendingPresentations) {
-            try {
-                await this.consumePresentation(presentation);
-            } catch (error) {
-                console.error(`❌ Failed to process pending presentation ${presentation.id}:`, error);
+    // Audio-only stopped the camera track and closed its producer - capture and publish it again
+    async restoreCameraAfterAudioOnly() {
+        this.videoEnabledBeforeAudioOnly = false;
+        if (!this.localStream || this.hostMuted.video || !this.permissions.produceVideo) return;
+
+        try {
+            this.localStream.addTrack(await this.acquireTrack('video'));
+            this.setupLocalVideo();
+            this.videoEnabled = true;
+            this.applyLocalMediaState();
+            await this.request('toggle-video', { enabled: true });
+            await this.produceCameraTrack('video');
+        } catch (error) {
+            console.error('❌ Failed to turn the camera back on:', error);
+            this.videoEnabled = false;
+            this.applyLocalMediaState();
+            this.showNotice(`Camera could not be turned back on: ${error.message}`);
+        }
+    }
+
+    renderMediaMode() {
+        document.getElementById('mediaModeSelect').value = this.mediaMode;
+        document.body.classList.toggle('audio-only', this.mediaMode === 'audio-only');
+    }
+
+    // Every remote <video> and <audio> follows the selected output
+    switchSpeaker(deviceId, remember = true) {
+        this.audioOutputId = deviceId;
+        if (remember) {
+            this.mediaPreferences.speakerId = deviceId;
+            this.saveMediaPreferences();
+        }
+
+        document.querySelectorAll('video, audio').forEach(element => {
+            if (element.id !== 'localVideo' && element.id !== 'previewVideo') {
+                this.applySpeaker(element);
+            }
+        });
+    }
+
+    // An unplugged camera or microphone ends its track - carry on with the default device
+    watchLocalTrack(track) {
+        track.onended = () => this.fallBackToDefaultDevice(track);
+    }
+
+    // The preference is kept, so the device is picked again on the next join once it is back
+    fallBackToDefaultDevice(track) {
+        if (!this.localStream || !this.localStream.getTracks().includes(track)) return;
+        const label = track.kind === 'audio' ? 'microphone' : 'camera';
+        this.showNotice(`Your ${label} was disconnected, switching to the default device`);
+        this.switchInputDevice(track.kind, null, false);
+    }
+
+    async handleDeviceChange() {
+        const devices = await this.populateDeviceLists();
+        const hasDevice = (kind, deviceId) => devices.some(device => device.kind === kind && device.deviceId === deviceId);
+
+        // Before joining just reopen the preview if its device went away
+        if (this.previewStream) {
+            if (this.previewStream.getTracks().some(track => track.readyState !== 'live')) {
+                this.updatePreview();
             }
+            return;
         }
 
-        this.pendingProducers = [];
-        this.pendingPresentations = [];
+        if (this.audioOutputId && !hasDevice('audiooutput', this.audioOutputId)) {
+            this.showNotice('Your speaker was disconnected, switching to the default output');
+            this.switchSpeaker('', false);
+            this.populateDeviceLists();
+        }
 
-        console.log("✅ All pending producers processed");
+        // Ended tracks are handled by watchLocalTrack; some browsers keep a removed device's track live
+        if (!this.localStream) return;
+        this.localStream.getTracks().forEach(track => {
+            const kind = track.kind === 'audio' ? 'audioinput' : 'videoinput';
+            const { deviceId } = track.getSettings();
+            if (track.readyState === 'live' && deviceId && !hasDevice(kind, deviceId)) {
+                this.fallBackToDefaultDevice(track);
+            }
+        });
     }
 
-    updateLocalUserIndex(userIndex) {
-        this.myUserIndex = userIndex;
-        const localIndexElement = document.querySelector('.self .screen-number');
-        if (localIndexElement) {
-            localIndexElement.textContent = `scr${userIndex}`;
+    setReconnecting(reconnecting) {
+        if (this.reconnecting === reconnecting) return;
+        this.reconnecting = reconnecting;
+
+        const canSendMedia = this.permissions.produceAudio || this.permissions.produceVideo;
+        document.getElementById('localStatus').textContent = reconnecting ? 'Reconnecting...' : (canSendMedia ? 'Connected' : 'Viewer');
+        document.querySelector('.video-wrapper.self').classList.toggle('reconnecting', reconnecting);
+
+        if (reconnecting) {
+            this.showNotice('Connection lost, reconnecting...');
         }
-        console.log(`📝 Updated local user index to: scr${userIndex}`);
     }
 
-    addUser(socketId, name, userIndex, videoEnabled = true, audioEnabled = true) {
-        if (socketId === this.socket.id) return;
+    // The server kept our slot and media - catch up on what changed while we were away
+    async resumeSession(data) {
+        console.log(`🔁 Session resumed as ${this.socket.id} (scr${data.userIndex})`);
+        this.setReconnecting(false);
 
-        this.userStates.set(socketId, { name, userIndex, videoEnabled, audioEnabled });
-        console.log(`👤 User joined: ${name} (scr${userIndex})`);
+        // A host may have muted us while we were away
+        if (this.hostMuted.audio) this.audioEnabled = false;
+        if (this.hostMuted.video) this.videoEnabled = false;
+        this.applyLocalMediaState();
 
-        if (this.videoSwitcher.style.display === 'block') {
-            this.updateVideoSwitcherList();
+        if (data.lobby) {
+            this.renderLobby(data.lobby);
         }
+        (data.chatHistory || []).forEach(message => this.appendChatMessage(message));
+        this.setActiveSpeaker(data.activeSpeaker);
+        this.updateRecordingStatus(data.recording);
+        this.updateCompositeStatus(data.composite);
+
+        const currentUsers = new Map(data.currentUsers.map(user => [user.socketId, user]));
+        Array.from(this.userStates.keys()).forEach(socketId => {
+            if (!currentUsers.has(socketId)) {
+                this.removeUser(socketId);
+            }
+        });
+        currentUsers.forEach(user => {
+            if (this.userStates.has(user.socketId)) {
+                this.updateUser(user.socketId, user.name, user.userIndex, user.videoEnabled, user.audioEnabled);
+                this.updateUserMediaMode(user.socketId, user.mediaMode);
+            } else {
+                this.addUser(user.socketId, user.name, user.userIndex, user.videoEnabled, user.audioEnabled, user.role, user.mediaMode);
+            }
+        });
 
-        this.updateRoomStatus();
+        // The network path probably changed, so renegotiate ICE on both transports
+        await Promise.all([this.producerTransport, this.consumerTransport]
+            .filter(Boolean)
+            .map(transport => this.restartTransportIce(transport)));
+
+        const currentProducers = new Map(data.currentProducers.map(producer => [producer.id, producer]));
+        Array.from(this.consumers.entries()).forEach(([producerId, consumerData]) => {
+            if (currentProducers.has(producerId)) return;
+            if (consumerData.isPresentation) {
+                this.removePresentation(producerId);
+            } else {
+                consumerData.consumer.close();
+                this.consumers.delete(producerId);
+            }
+        });
+        // Our own presentations moved to the new socket as well, unless the server ended them meanwhile
+        Array.from(this.presentations.entries()).forEach(([producerId, presentation]) => {
+            const currentProducer = currentProducers.get(producerId);
+            if (currentProducer) {
+                presentation.socketId = currentProducer.socketId;
+            } else {
+                this.removePresentation(producerId);
+            }
+        });
+        const screenProducer = this.producers.get('screen-video');
+        if (this.isSharingScreen && screenProducer && !currentProducers.has(screenProducer.id)) {
+            this.stopScreenShare(false);
+        }
+
+        for (const producer of data.currentProducers) {
+            if (producer.isScreen) {
+                await this.consumePresentation(producer);
+            } else {
+                await this.consumeUserProducer(producer);
+            }
+        }
     }
 
-    updateUser(socketId, name, userIndex, videoEnabled, audioEnabled) {
+    async restartTransportIce(transport) {
+        try {
+            const { iceParameters } = await this.request('restart-ice', { transportId: transport.id });
+            await transport.restartIce({ iceParameters });
+            console.log(`🧊 Restarted ICE on transport ${transport.id}`);
+        } catch (error) {
+            console.error(`❌ ICE restart failed on transport ${transport.id}:`, error);
+        }
+    }
+
+    setUserReconnecting(socketId, reconnecting) {
         const user = this.userStates.get(socketId);
         if (user) {
-            user.name = name;
-            user.userIndex = userIndex;
-            user.videoEnabled = videoEnabled;
-            user.audioEnabled = audioEnabled;
+            user.reconnecting = reconnecting;
+        }
 
-            const userElement = document.getElementById(`user-${socketId}`);
-            if (userElement) {
-                const titleEl = userElement.querySelector('.video-title');
-                if (titleEl) titleEl.textContent = name;
+        const tile = document.getElementById(`user-${socketId}`);
+        if (tile) {
+            tile.classList.toggle('reconnecting', reconnecting);
+        }
+        console.log(`📶 User ${socketId} ${reconnecting ? 'is reconnecting' : 'is back'}`);
+    }
 
-                const indexEl = userElement.querySelector('.screen-number');
-                if (indexEl) indexEl.textContent = `scr${userIndex}`;
+    // Another participant resumed their session on a new socket
+    rekeyRemoteUser(previousSocketId, data) {
+        const { socketId } = data;
+        const user = this.userStates.get(previousSocketId);
+        if (!user) {
+            this.addUser(socketId, data.name, data.userIndex, data.videoEnabled, data.audioEnabled, data.role, data.mediaMode);
+            return;
+        }
 
-                const videoIndicator = userElement.querySelector('.status-video-active, .status-video-muted');
-                const audioIndicator = userElement.querySelector('.status-audio-active, .status-audio-muted');
+        if (this.isSwapMode) {
+            this.cancelSwap();
+        }
 
-                if (videoIndicator) {
-                    videoIndicator.className = `status-indicator status-video-${videoEnabled ? 'active' : 'muted'}`;
-                    videoIndicator.textContent = videoEnabled ? '📹' : '🚫';
-                }
+        this.userStates.delete(previousSocketId);
+        this.userStates.set(socketId, user);
 
-                if (audioIndicator) {
-                    audioIndicator.className = `status-indicator status-audio-${audioEnabled ? 'active' : 'muted'}`;
-                    audioIndicator.textContent = audioEnabled ? '🎤' : '🚫';
+        const tile = document.getElementById(`user-${previousSocketId}`);
+        if (tile) {
+            tile.id = `user-${socketId}`;
+            tile.dataset.socketId = socketId;
+        }
+
+        this.consumers.forEach(consumerData => {
+            if (consumerData.socketId === previousSocketId) {
+                consumerData.socketId = socketId;
+            }
+        });
+        this.presentations.forEach((presentation, producerId) => {
+            if (presentation.socketId === previousSocketId) {
+                presentation.socketId = socketId;
+                const presentationElement = document.getElementById(`presentation-${producerId}`);
+                if (presentationElement) {
+                    presentationElement.dataset.socketId = socketId;
                 }
             }
+        });
+        if (this.activeSpeakerId === previousSocketId) {
+            this.activeSpeakerId = socketId;
         }
 
+        this.setUserReconnecting(socketId, false);
+        this.renderViewerPanel();
+        this.updateChatRecipients();
         if (this.videoSwitcher.style.display === 'block') {
             this.updateVideoSwitcherList();
         }
     }
 
-    removeUser(socketId) {
-        if (this.swapSource && this.swapSource.id === `user-${socketId}`) {
-            this.cancelSwap();
+    // Abort a join that is still waiting for 'init' - startConference reports the error
+    failPendingJoin(error) {
+        if (this.rejectInit) {
+            this.rejectInit(error);
+            this.resolveInit = null;
+            this.rejectInit = null;
         }
-        if (this.swapTarget && this.swapTarget.id === `user-${socketId}`) {
-            this.cancelSwap();
+    }
+
+    // Show only the media controls the current role is allowed to use
+    applyPermissions() {
+        document.getElementById('screenShareBtn').style.display = this.permissions.shareScreen ? '' : 'none';
+        document.getElementById('toggleVideoBtn').style.display = this.permissions.produceVideo ? '' : 'none';
+        document.getElementById('toggleAudioBtn').style.display = this.permissions.produceAudio ? '' : 'none';
+        document.getElementById('lobbyBtn').style.display = this.permissions.moderate ? '' : 'none';
+        document.getElementById('viewersBtn').style.display = this.permissions.moderate ? '' : 'none';
+        document.getElementById('lockRoomBtn').style.display = this.permissions.moderate ? '' : 'none';
+        document.getElementById('roomPasswordBtn').style.display = this.permissions.moderate ? '' : 'none';
+        document.getElementById('recordBtn').style.display = this.permissions.moderate ? '' : 'none';
+        document.getElementById('compositeBtn').style.display = this.permissions.moderate ? '' : 'none';
+    }
+
+    async toggleRoomLock() {
+        try {
+            const { locked } = await this.request('set-room-locked', { locked: !this.roomLocked });
+            this.updateRoomAccess(locked, this.roomPasswordProtected);
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    async setRoomPassword() {
+        const password = prompt('New room password (leave empty to remove it):');
+        if (password === null) return;
+
+        try {
+            const { passwordProtected } = await this.request('set-room-password', { password });
+            this.updateRoomAccess(this.roomLocked, passwordProtected);
+            this.showNotice(passwordProtected ? 'Room password set' : 'Room password removed');
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    updateRoomAccess(locked, passwordProtected) {
+        this.roomLocked = Boolean(locked);
+        this.roomPasswordProtected = Boolean(passwordProtected);
+
+        const lockLabel = document.getElementById('roomLockLabel');
+        if (lockLabel) lockLabel.textContent = this.roomLocked ? ' 🔒' : '';
+
+        const lockBtn = document.getElementById('lockRoomBtn');
+        lockBtn.textContent = this.roomLocked ? '🔒 Unlock Room' : '🔓 Lock Room';
+        lockBtn.classList.toggle('active', this.roomLocked);
+
+        const passwordBtn = document.getElementById('roomPasswordBtn');
+        passwordBtn.textContent = this.roomPasswordProtected ? '🔑 Change Password' : '🔑 Set Password';
+    }
+
+    async toggleRecording() {
+        try {
+            const status = await this.request(this.recording ? 'stop-recording' : 'start-recording');
+            this.updateRecordingStatus(status);
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    updateRecordingStatus(status) {
+        this.recording = Boolean(status && status.recording);
+
+        const indicator = document.getElementById('recordingIndicator');
+        if (indicator) {
+            indicator.style.display = this.recording ? '' : 'none';
+            indicator.title = this.recording ? `Recording started by ${status.startedBy}` : '';
+        }
+
+        const recordBtn = document.getElementById('recordBtn');
+        recordBtn.textContent = this.recording ? '⏹️ Stop Recording' : '⏺️ Start Recording';
+        recordBtn.classList.toggle('active', this.recording);
+    }
+
+    async toggleComposite() {
+        try {
+            const status = await this.request(this.compositeActive ? 'stop-composite' : 'start-composite');
+            this.updateCompositeStatus(status);
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    updateCompositeStatus(status) {
+        this.compositeActive = Boolean(status && status.active);
+
+        const indicator = document.getElementById('compositeIndicator');
+        if (indicator) {
+            indicator.style.display = this.compositeActive ? '' : 'none';
+            indicator.textContent = this.compositeActive && status.target !== 'file' ? '📺 Live' : '📺 Live Mix';
+            indicator.title = this.compositeActive ? `Mixed output (${status.target}) started by ${status.startedBy}` : '';
+        }
+
+        const compositeBtn = document.getElementById('compositeBtn');
+        compositeBtn.textContent = this.compositeActive ? '📺 Stop Live Mix' : '📺 Start Live Mix';
+        compositeBtn.classList.toggle('active', this.compositeActive);
+    }
+
+    // Waiting room panel for hosts
+    renderLobby(lobby) {
+        this.lobbyEnabled = lobby.enabled;
+
+        const lobbyBtn = document.getElementById('lobbyBtn');
+        lobbyBtn.textContent = lobby.enabled ? '🚪 Lobby On' : '🚪 Lobby Off';
+        lobbyBtn.classList.toggle('active', lobby.enabled);
+
+        const panel = document.getElementById('lobbyPanel');
+        const list = document.getElementById('lobbyList');
+        list.innerHTML = '';
+
+        lobby.waiting.forEach(user => {
+            const item = document.createElement('div');
+            item.className = 'lobby-item';
+
+            const name = document.createElement('div');
+            name.className = 'lobby-name';
+            name.textContent = user.name;
+
+            const admitBtn = document.createElement('button');
+            admitBtn.className = 'lobby-action admit';
+            admitBtn.textContent = 'Admit';
+            admitBtn.addEventListener('click', () => this.answerLobby('lobby-admit', user.socketId));
+
+            const denyBtn = document.createElement('button');
+            denyBtn.className = 'lobby-action deny';
+            denyBtn.textContent = 'Deny';
+            denyBtn.addEventListener('click', () => this.answerLobby('lobby-deny', user.socketId));
+
+            item.append(name, admitBtn, denyBtn);
+            list.appendChild(item);
+        });
+
+        panel.style.display = lobby.waiting.length > 0 ? 'block' : 'none';
+        console.log(`⏳ Lobby ${lobby.enabled ? 'on' : 'off'}, ${lobby.waiting.length} waiting`);
+    }
+
+    // A host promoted us from viewer to participant: we can send now, starting with media off
+    async applyRoleChange(data) {
+        console.log(`⬆️ Role changed to ${data.role} (scr${data.userIndex})`);
+        this.role = data.role;
+        this.permissions = data.permissions;
+        this.updateLocalUserIndex(data.userIndex);
+        this.applyPermissions();
+
+        this.videoEnabled = false;
+        this.audioEnabled = false;
+        this.applyLocalMediaState();
+        if (!this.localStream) {
+            this.localStream = new MediaStream();
+        }
+        this.setupLocalVideo();
+        this.showNotice(data.reason);
+
+        // Camera and microphone are captured and produced when they are turned on
+        try {
+            if (!this.producerTransport) {
+                await this.createProducerTransport();
+            }
+        } catch (error) {
+            console.error('❌ Failed to create producer transport after promotion:', error);
+            this.showNotice(error.message);
+        }
+    }
+
+    updateUserRole(socketId, role, userIndex) {
+        const user = this.userStates.get(socketId);
+        if (!user) return;
+
+        user.role = role;
+        user.userIndex = userIndex;
+        console.log(`⬆️ ${user.name} is now a ${role} (scr${userIndex})`);
+        this.renderViewerPanel();
+        this.updateRoomStatus();
+    }
+
+    toggleViewerPanel(open = !this.viewerPanelOpen) {
+        this.viewerPanelOpen = open;
+        document.getElementById('viewerPanel').style.display = open ? 'flex' : 'none';
+        this.renderViewerPanel();
+    }
+
+    // Hosts see who is watching and can bring a viewer into the call
+    renderViewerPanel() {
+        const viewers = Array.from(this.userStates.entries()).filter(([, user]) => user.role === 'viewer');
+        document.getElementById('viewersBtn').textContent = `👀 Viewers (${viewers.length})`;
+        if (!this.viewerPanelOpen) return;
+
+        const list = document.getElementById('viewerList');
+        list.innerHTML = '';
+        if (viewers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'viewer-empty';
+            empty.textContent = 'Nobody is watching';
+            list.appendChild(empty);
+            return;
+        }
+
+        viewers.forEach(([socketId, user]) => {
+            const item = document.createElement('div');
+            item.className = 'lobby-item';
+
+            const name = document.createElement('div');
+            name.className = 'lobby-name';
+            name.textContent = user.name;
+
+            const promoteBtn = document.createElement('button');
+            promoteBtn.className = 'lobby-action admit';
+            promoteBtn.textContent = 'Promote';
+            promoteBtn.title = 'Let this viewer send audio and video';
+            promoteBtn.addEventListener('click', () => this.promoteViewer(socketId));
+
+            item.append(name, promoteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    async promoteViewer(socketId) {
+        try {
+            await this.request('promote-viewer', { socketId });
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    async answerLobby(event, socketId) {
+        try {
+            await this.request(event, { socketId });
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    async toggleLobby() {
+        try {
+            const lobby = await this.request('set-lobby', { enabled: !this.lobbyEnabled });
+            this.renderLobby(lobby);
+        } catch (error) {
+            this.showNotice(error.message);
+        }
+    }
+
+    setupLocalVideo() {
+        const localVideo = document.getElementById('localVideo');
+        localVideo.srcObject = this.localStream;
+        this.localStream.getTracks().forEach(track => this.watchLocalTrack(track));
+        localVideo.muted = true;
+        localVideo.playsInline = true;
+        document.getElementById('localStatus').textContent = 'Connected';
+    }
+
+    async createProducerTransport() {
+        try {
+            const transportData = await this.request('create-transport', { direction: 'send' });
+
+            this.producerTransport = this.device.createSendTransport(transportData);
+
+            this.producerTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
+                try {
+                    console.log("🔗 Connecting producer transport...");
+                    await this.request('connect-transport', {
+                        transportId: this.producerTransport.id,
+                        dtlsParameters
+                    });
+                    console.log("✅ Producer transport connected");
+                    callback();
+                } catch (error) {
+                    console.error("❌ Producer transport connection failed:", error);
+                    errback(error);
+                }
+            });
+
+            // Every produce() call tags its source - camera media can be produced during a screen share
+            this.producerTransport.on('produce', async ({ kind, rtpParameters, appData }, callback, errback) => {
+                try {
+                    console.log(`📦 Producing ${appData.source} ${kind} track...`);
+                    const { id } = await this.request('produce', {
+                        transportId: this.producerTransport.id,
+                        kind,
+                        rtpParameters,
+                        source: appData.source
+                    });
+                    console.log(`✅ Produced ${kind} track: ${id}`);
+                    callback({ id });
+
+                    if (appData.source === 'screen') {
+                        this.activeScreenProducers.add(id);
+                        console.log(`📝 Added screen producer to active set: ${id}`);
+                    }
+                } catch (error) {
+                    console.error(`❌ Produce failed for ${kind}:`, error);
+                    errback(error);
+                }
+            });
+
+            this.producerTransport.on('connectionstatechange', (state) => {
+                console.log(`🔗 Producer transport state: ${state}`);
+            });
+
+        } catch (error) {
+            if (error.message.includes('Room is full')) {
+                console.warn('⚠️ Room is full, but user is already connected. Continuing as receive-only.');
+                return;
+            }
+            console.error("❌ Failed to create producer transport:", error);
+            throw error;
+        }
+    }
+
+    async produceCameraTracks() {
+        try {
+            await this.produceCameraTrack('audio');
+            await this.produceCameraTrack('video');
+        } catch (error) {
+            console.error("❌ Failed to produce camera tracks:", error);
+            throw error;
+        }
+    }
+
+    // Produces the local track of the kind, if there is one and it is not produced yet
+    async produceCameraTrack(kind) {
+        const key = `camera-${kind}`;
+        const track = this.localStream && this.localStream.getTracks().find(t => t.kind === kind);
+        if (!track || !this.producerTransport || this.producers.has(key)) return;
+
+        if (kind === 'audio') {
+            const producer = await this.producerTransport.produce({ track, zeroRtpOnPause: true, appData: { source: 'camera' } });
+            this.producers.set(key, producer);
+            console.log("✅ Produced camera audio");
+            return;
+        }
+
+        const codec = this.pickVideoCodec(CONFIG.CAMERA_CODEC_PREFERENCE);
+        const producer = await this.producerTransport.produce({
+            track,
+            codec,
+            encodings: this.getCameraEncodings(codec),
+            codecOptions: { videoGoogleStartBitrate: 1000 },
+            zeroRtpOnPause: true,
+            appData: { source: 'camera' }
+        });
+        this.producers.set(key, producer);
+        console.log(`✅ Produced camera video (${codec ? codec.mimeType : 'default codec'})`);
+    }
+
+    // First preferred codec supported by both this browser and the router
+    pickVideoCodec(preference) {
+        for (const name of preference) {
+            const mimeType = `video/${name}`.toLowerCase();
+            const codec = this.device.rtpCapabilities.codecs.find(c => c.mimeType.toLowerCase() === mimeType);
+            if (codec) return codec;
+        }
+        return undefined;
+    }
+
+    // VP9 and AV1 carry their layers in one SVC stream, other codecs use simulcast
+    isSvcCodec(codec) {
+        return Boolean(codec) && /^video\/(vp9|av1)$/i.test(codec.mimeType);
+    }
+
+    getCameraEncodings(codec) {
+        if (!CONFIG.SIMULCAST) return undefined;
+        return this.isSvcCodec(codec) ? [{ scalabilityMode: 'L3T3_KEY' }] : SIMULCAST_ENCODINGS;
+    }
+
+    getScreenEncodings(codec) {
+        if (!this.isSvcCodec(codec)) return undefined;
+        return [{ scalabilityMode: 'L3T3', maxBitrate: 5000000, dtx: true }];
+    }
+
+    async produceScreenTracks() {
+        if (!this.screenStream) return;
+
+        console.log("🔄 Starting to produce screen tracks...");
+
+        try {
+            const screenVideoTrack = this.screenStream.getVideoTracks()[0];
+            if (screenVideoTrack) {
+                const codec = this.pickVideoCodec(CONFIG.SCREEN_CODEC_PREFERENCE);
+                const producer = await this.producerTransport.produce({
+                    track: screenVideoTrack,
+                    codec,
+                    encodings: this.getScreenEncodings(codec),
+                    appData: { source: 'screen' }
+                });
+                this.producers.set('screen-video', producer);
+                console.log(`✅ Screen video producer created: ${producer.id} (${codec ? codec.mimeType : 'default codec'})`);
+            } else {
+                console.log("❌ No screen video track found");
+            }
+
+            const screenAudioTrack = this.screenStream.getAudioTracks()[0];
+            if (screenAudioTrack) {
+                const producer = await this.producerTransport.produce({ track: screenAudioTrack, appData: { source: 'screen' } });
+                this.producers.set('screen-audio', producer);
+                console.log("✅ Screen audio producer created:", producer.id);
+            } else {
+                console.log("ℹ️ No screen audio track available");
+            }
+        } catch (error) {
+            console.error("❌ Failed to produce screen tracks:", error);
+            throw error;
+        }
+    }
+
+    setupSocketListeners() {
+        this.socket.on('connect', () => {
+            console.log('✅ Connected to signaling server');
+            this.updateRoomStatus();
+        });
+
+        this.socket.on('disconnect', (reason) => {
+            console.log('❌ Disconnected from signaling server:', reason);
+
+            // Network drop - Socket.IO reconnects by itself and the server keeps our slot for a while
+            if (this.isStarted && this.resumeToken && reason !== 'io client disconnect' && reason !== 'io server disconnect') {
+                this.setReconnecting(true);
+                return;
+            }
+
+            this.failPendingJoin(new Error('Disconnected from server before joining'));
+            this.handleDisconnect();
+
+            if (this.rejoinRequested) {
+                this.rejoinRequested = false;
+                console.log('♻️ Rejoining conference...');
+                setTimeout(() => this.startConference(), 1000);
+            }
+        });
+
+        this.socket.on('rejoin-required', (data) => {
+            console.warn('♻️ Server asked to rejoin:', data.reason);
+            this.rejoinRequested = true;
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('❌ Connection error:', error);
+        });
+
+        this.socket.on('room-full', (data) => {
+            const message = data && data.viewer
+                ? `All viewer places are taken (maximum ${CONFIG.MAX_VIEWERS} viewers). Please try again later.`
+                : `Conference room is full (maximum ${CONFIG.MAX_USERS} users). Please try again later.`;
+            this.failPendingJoin(new Error(message));
+        });
+
+        this.socket.on('role-changed', (data) => {
+            this.applyRoleChange(data);
+        });
+
+        this.socket.on('user-role-changed', (data) => {
+            this.updateUserRole(data.socketId, data.role, data.userIndex);
+        });
+
+        this.socket.on('invalid-password', (data) => {
+            console.log('🔑 Password rejected:', data);
+            const passwordInput = document.getElementById('roomPassword');
+            passwordInput.value = '';
+            passwordInput.focus();
+            this.failPendingJoin(new Error(data.message));
+        });
+
+        this.socket.on('room-locked', (data) => {
+            this.failPendingJoin(new Error(data.message));
+        });
+
+        this.socket.on('lobby-waiting', (data) => {
+            console.log('⏳ Waiting in lobby:', data);
+            document.getElementById('startBtn').textContent = 'Waiting for host...';
+            this.showNotice(data.hostPresent
+                ? 'Waiting for a host to let you in...'
+                : 'Waiting for a host to let you in. No host has joined yet.');
+        });
+
+        this.socket.on('lobby-denied', (data) => {
+            console.log('🚫 Lobby denied:', data);
+            this.failPendingJoin(new Error(data.message));
+        });
+
+        this.socket.on('lobby-update', (data) => {
+            this.renderLobby(data);
+        });
+
+        this.socket.on('room-status', (data) => {
+            this.updateRoomStatus(data);
+        });
+
+        this.socket.on('user-video-toggled', (data) => {
+            console.log(`📹 User ${data.socketId} video toggled: ${data.enabled}`);
+            this.updateUserMediaStatus(data.socketId, 'video', data.enabled);
+        });
+
+        this.socket.on('user-media-mode', (data) => {
+            console.log(`📶 User ${data.socketId} switched to ${data.mode} mode`);
+            this.updateUserMediaMode(data.socketId, data.mode);
+        });
+
+        this.socket.on('producer-closed', (data) => {
+            console.log(`📴 Producer ${data.producerId} of ${data.socketId} closed`);
+            this.closeConsumer(data.producerId);
+        });
+
+        this.socket.on('user-audio-toggled', (data) => {
+            console.log(`🎤 User ${data.socketId} audio toggled: ${data.enabled}`);
+            this.updateUserMediaStatus(data.socketId, 'audio', data.enabled);
+        });
+
+        this.socket.on('init', (data) => {
+            this.saveResumeToken(data.resumeToken);
+            this.hostMuted = data.hostMuted;
+            this.mediaMode = data.mediaMode;
+            this.renderMediaMode();
+            // After a reload the server kept our slot but we start the media again like a new join
+            if (data.resumed && this.isStarted) {
+                this.resumeSession(data);
+                return;
+            }
+
+            console.log(`🎯 Received init data for user index: ${data.userIndex} (${data.role})`);
+            if (this.hostMuted.audio) this.audioEnabled = false;
+            if (this.hostMuted.video) this.videoEnabled = false;
+            this.applyLocalMediaState();
+            this.myUserIndex = data.userIndex;
+            this.updateLocalUserIndex(this.myUserIndex);
+
+            this.role = data.role;
+            this.permissions = data.permissions;
+            if (data.lobby) {
+                this.renderLobby(data.lobby);
+            }
+            this.renderChatHistory(data.chatHistory || []);
+            this.setActiveSpeaker(data.activeSpeaker);
+            this.updateRecordingStatus(data.recording);
+            this.updateCompositeStatus(data.composite);
+            if (data.nameLocked) {
+                const usernameInput = document.getElementById('username');
+                usernameInput.value = data.name;
+                usernameInput.disabled = true;
+            }
+
+            data.currentUsers.forEach(user => {
+                this.addUser(user.socketId, user.name, user.userIndex, user.videoEnabled, user.audioEnabled, user.role, user.mediaMode);
+            });
+
+            data.currentProducers.forEach(producer => {
+                if (producer.isScreen) {
+                    this.pendingPresentations.push(producer);
+                } else {
+                    this.pendingProducers.push(producer);
+                }
+            });
+
+            console.log(`📦 Buffered ${this.pendingProducers.length} producers and ${this.pendingPresentations.length} presentations`);
+
+            if (this.resolveInit) {
+                this.resolveInit();
+                this.resolveInit = null;
+                this.rejectInit = null;
+            }
+        });
+
+        this.socket.on('recording-status', (status) => {
+            this.updateRecordingStatus(status);
+        });
+
+        this.socket.on('composite-status', (status) => {
+            this.updateCompositeStatus(status);
+        });
+
+        this.socket.on('producer-score', (data) => {
+            this.producerScores.set(data.producerId, data.score);
+            this.renderOwnQuality();
+        });
+
+        this.socket.on('consumer-score', (data) => {
+            this.consumerScores.set(data.producerId, { score: data.score, producerScore: data.producerScore });
+            this.renderTileQuality(data.producerId);
+        });
+
+        this.socket.on('active-speaker', (data) => {
+            this.setActiveSpeaker(data.socketId);
+        });
+
+        this.socket.on('audio-levels', (data) => {
+            this.updateAudioLevels(data.levels);
+        });
+
+        this.socket.on('chat-message', (message) => {
+            this.appendChatMessage(message);
+            if (!this.chatOpen) {
+                this.setUnreadChatCount(this.unreadChatCount + 1);
+            }
+        });
+
+        this.socket.on('user-reconnecting', (data) => {
+            this.setUserReconnecting(data.socketId, true);
+        });
+
+        this.socket.on('user-resumed', (data) => {
+            this.rekeyRemoteUser(data.previousSocketId, data);
+        });
+
+        this.socket.on('user-joined', (data) => {
+            this.addUser(data.socketId, data.name, data.userIndex, data.videoEnabled, data.audioEnabled, data.role, data.mediaMode);
+        });
+
+        this.socket.on('user-updated', (data) => {
+            this.updateUser(data.socketId, data.name, data.userIndex, data.videoEnabled, data.audioEnabled);
+        });
+
+        this.socket.on('user-left', (data) => {
+            this.removeUser(data.socketId);
+        });
+
+        this.socket.on('new-producer', async (data) => {
+            console.log('📹 Received new-producer event from:', data.peerName);
+            if (!this.deviceReady) {
+                console.log('📦 Buffering producer until device is ready');
+                this.pendingProducers.push(data);
+                return;
+            }
+            await this.consumeUserProducer(data);
+        });
+
+        this.socket.on('new-presentation', async (data) => {
+            console.log('🖥️ Received new-presentation event from:', data.peerName);
+            if (!this.deviceReady) {
+                console.log('📦 Buffering presentation until device is ready');
+                this.pendingPresentations.push(data);
+                return;
+            }
+            await this.consumePresentation(data);
+        });
+
+        this.socket.on('presentation-ended', (data) => {
+            console.log('📺 Received presentation-ended event:', data);
+            this.removePresentation(data.producerId);
+        });
+
+        this.socket.on('moderation-action', (data) => {
+            console.log('🛡️ Moderation action:', data);
+            if (data.action === 'muted') {
+                this.hostMuted[data.kind] = true;
+                if (data.kind === 'audio') {
+                    this.audioEnabled = false;
+                } else {
+                    this.videoEnabled = false;
+                }
+                this.applyLocalMediaState();
+            } else if (data.action === 'unmute-allowed') {
+                this.hostMuted[data.kind] = false;
+                this.applyLocalMediaState();
+            } else if (data.action === 'presentation-stopped') {
+                this.stopScreenShare(false);
+            }
+            this.showNotice(data.reason);
+        });
+
+        this.socket.on('removed-from-room', (data) => {
+            console.log('⛔ Removed from room:', data);
+            const message = data.banned ? `${data.reason}. You cannot rejoin this room.` : data.reason;
+            this.failPendingJoin(new Error(message));
+            setTimeout(() => alert(message), 0);
+        });
+    }
+
+    updateUserMediaStatus(socketId, mediaType, enabled) {
+        const userElement = document.getElementById(`user-${socketId}`);
+        if (!userElement) {
+            console.warn(`User element not found for ${socketId}`);
+            return;
+        }
+
+        const userState = this.userStates.get(socketId);
+        if (userState) {
+            if (mediaType === 'video') {
+                userState.videoEnabled = enabled;
+            } else if (mediaType === 'audio') {
+                userState.audioEnabled = enabled;
+            }
+        }
+
+        const videoIndicator = userElement.querySelector('.status-video-active, .status-video-muted');
+        const audioIndicator = userElement.querySelector('.status-audio-active, .status-audio-muted');
+
+        if (videoIndicator && mediaType === 'video') {
+            videoIndicator.className = `status-indicator status-video-${enabled ? 'active' : 'muted'}`;
+            videoIndicator.textContent = enabled ? '📹' : '🚫';
+        }
+
+        if (audioIndicator && mediaType === 'audio') {
+            audioIndicator.className = `status-indicator status-audio-${enabled ? 'active' : 'muted'}`;
+            audioIndicator.textContent = enabled ? '🎤' : '🚫';
+        }
+
+        console.log(`✅ Updated ${mediaType} status for ${socketId}: ${enabled ? 'enabled' : 'disabled'}`);
+
+        if (this.videoSwitcher.style.display === 'block') {
+            this.updateVideoSwitcherList();
+        }
+    }
+
+    async processPendingProducers() {
+        if (this.pendingProducers.length === 0 && this.pendingPresentations.length === 0) {
+            return;
+        }
+
+        console.log(`🔄 Processing ${this.pendingProducers.length} pending producers and ${this.pendingPresentations.length} pending presentations`);
+
+        for (const producer of this.pendingProducers) {
+            try {
+                await this.consumeUserProducer(producer);
+            } catch (error) {
+                console.error(`❌ Failed to process pending producer ${producer.id}:`, error);
+            }
+        }
+
+        for (const presentation of this.pendingPresentations) {
+            try {
+                await this.consumePresentation(presentation);
+            } catch (error) {
+                console.error(`❌ Failed to process pending presentation ${presentation.id}:`, error);
+            }
+        }
+
+        this.pendingProducers = [];
+        this.pendingPresentations = [];
+
+        console.log("✅ All pending producers processed");
+    }
+
+    updateLocalUserIndex(userIndex) {
+        this.myUserIndex = userIndex;
+        const localIndexElement = document.querySelector('.self .screen-number');
+        if (localIndexElement) {
+            localIndexElement.textContent = userIndex === null ? 'viewer' : `scr${userIndex}`;
+        }
+        console.log(`📝 Updated local user index to: ${userIndex === null ? 'none (viewer)' : `scr${userIndex}`}`);
+    }
+
+    addUser(socketId, name, userIndex, videoEnabled = true, audioEnabled = true, role = 'participant', mediaMode = 'full') {
+        if (socketId === this.socket.id) return;
+
+        this.userStates.set(socketId, { name, userIndex, videoEnabled, audioEnabled, role, mediaMode });
+        console.log(`👤 User joined: ${name} (${role === 'viewer' ? 'viewer' : `scr${userIndex}`})`);
+        this.renderViewerPanel();
+
+        if (this.videoSwitcher.style.display === 'block') {
+            this.updateVideoSwitcherList();
+        }
+        this.updateChatRecipients();
+
+        this.updateRoomStatus();
+    }
+
+    updateUser(socketId, name, userIndex, videoEnabled, audioEnabled) {
+        const user = this.userStates.get(socketId);
+        if (user) {
+            user.name = name;
+            user.userIndex = userIndex;
+            user.videoEnabled = videoEnabled;
+            user.audioEnabled = audioEnabled;
+
+            const userElement = document.getElementById(`user-${socketId}`);
+            if (userElement) {
+                const titleEl = userElement.querySelector('.video-title');
+                if (titleEl) titleEl.textContent = name;
+
+                const indexEl = userElement.querySelector('.screen-number');
+                if (indexEl) indexEl.textContent = `scr${userIndex}`;
+
+                const videoIndicator = userElement.querySelector('.status-video-active, .status-video-muted');
+                const audioIndicator = userElement.querySelector('.status-audio-active, .status-audio-muted');
+
+                if (videoIndicator) {
+                    videoIndicator.className = `status-indicator status-video-${videoEnabled ? 'active' : 'muted'}`;
+                    videoIndicator.textContent = videoEnabled ? '📹' : '🚫';
+                }
+
+                if (audioIndicator) {
+                    audioIndicator.className = `status-indicator status-audio-${audioEnabled ? 'active' : 'muted'}`;
+                    audioIndicator.textContent = audioEnabled ? '🎤' : '🚫';
+                }
+            }
+        }
+
+        if (this.videoSwitcher.style.display === 'block') {
+            this.updateVideoSwitcherList();
+        }
+        this.updateChatRecipients();
+    }
+
+    // Audio-only and data saver users get a badge on their tile
+    updateUserMediaMode(socketId, mode) {
+        const user = this.userStates.get(socketId);
+        if (user) {
+            user.mediaMode = mode;
+        }
+
+        const indicator = document.querySelector(`#user-${socketId} .media-mode-indicator`);
+        if (!indicator) return;
+        const badges = {
+            'audio-only': ['🎧', 'Audio only'],
+            'data-saver': ['🐢', 'Data saver']
+        };
+        const [icon, title] = badges[mode] || ['', ''];
+        indicator.textContent = icon;
+        indicator.title = title;
+        indicator.style.display = icon ? '' : 'none';
+    }
+
+    // The server closed the producer behind a consumer, e.g. its owner switched to audio-only
+    closeConsumer(producerId) {
+        const consumerData = this.consumers.get(producerId);
+        if (!consumerData) return;
+
+        consumerData.consumer.close();
+        this.consumers.delete(producerId);
+        this.consumerScores.delete(producerId);
+
+        if (consumerData.kind === 'video' && !consumerData.isPresentation) {
+            const tile = document.getElementById(`user-${consumerData.socketId}`);
+            if (tile) {
+                tile.querySelector('video').srcObject = null;
+                delete tile.dataset.videoConsumerId;
+                this.tileResizeObserver.unobserve(tile);
+                this.tileVisibilityObserver.unobserve(tile);
+            }
+        }
+    }
+
+    removeUser(socketId) {
+        if (this.swapSource && this.swapSource.id === `user-${socketId}`) {
+            this.cancelSwap();
+        }
+        if (this.swapTarget && this.swapTarget.id === `user-${socketId}`) {
+            this.cancelSwap();
+        }
+
+        const userVideo = document.getElementById(`user-${socketId}`);
+        if (userVideo) userVideo.remove();
+
+        this.removeUserPresentations(socketId);
+
+        this.consumers.forEach((consumerData, producerId) => {
+            if (consumerData.socketId === socketId) {
+                try {
+                    consumerData.consumer.close();
+                } catch (error) {
+                    console.error(`Error closing consumer for ${socketId}:`, error);
+                }
+                this.consumers.delete(producerId);
+            }
+        });
+
+        this.userStates.delete(socketId);
+        this.renderViewerPanel();
+
+        if (this.videoSwitcher.style.display === 'block') {
+            this.updateVideoSwitcherList();
+        }
+        this.updateChatRecipients();
+
+        this.updateRoomStatus();
+
+        console.log(`🗑️ User left: ${socketId}`);
+    }
+
+    async consumeUserProducer(data) {
+        await this.consumeProducer(data, false);
+    }
+
+    async consumePresentation(data) {
+        await this.consumeProducer(data, true);
+    }
+
+    // One recv transport carries every consumer; it is created on first use
+    getConsumerTransport() {
+        if (!this.consumerTransportPromise) {
+            this.consumerTransportPromise = this.createConsumerTransport().catch(error => {
+                this.consumerTransportPromise = null;
+                throw error;
+            });
+        }
+        return this.consumerTransportPromise;
+    }
+
+    async createConsumerTransport() {
+        const transportData = await this.request('create-transport', { direction: 'recv' });
+        const consumerTransport = this.device.createRecvTransport(transportData);
+
+        consumerTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
+            try {
+                console.log('🔗 Connecting consumer transport...');
+                await this.request('connect-transport', {
+                    transportId: consumerTransport.id,
+                    dtlsParameters
+                });
+                console.log('✅ Consumer transport connected');
+                callback();
+            } catch (error) {
+                console.error('❌ Consumer transport connection failed:', error);
+                errback(error);
+            }
+        });
+
+        consumerTransport.on('connectionstatechange', (state) => {
+            console.log(`🔗 Consumer transport state: ${state}`);
+        });
+
+        this.consumerTransport = consumerTransport;
+        return consumerTransport;
+    }
+
+    async consumeProducer(data, isPresentation) {
+        const { id: producerId, socketId, kind, peerName, userIndex, presentationIndex } = data;
+
+        if (socketId === this.socket.id && !isPresentation) {
+            console.log(`⏭️ Skipping consumption of own producer ${producerId}`);
+            return;
+        }
+
+        if (this.consumers.has(producerId)) {
+            console.log(`⏭️ Already consuming producer ${producerId}, skipping`);
+            return;
+        }
+
+        console.log(`🔄 Starting to consume ${isPresentation ? 'presentation' : 'user'} ${kind} from ${peerName}`);
+
+        try {
+            const consumerTransport = await this.getConsumerTransport();
+
+            console.log(`📡 Consuming producer ${producerId}...`);
+            const consumerData = await this.request('consume', {
+                transportId: consumerTransport.id,
+                producerId,
+                rtpCapabilities: this.device.rtpCapabilities
+            });
+
+            const consumer = await consumerTransport.consume(consumerData);
+
+            this.consumers.set(producerId, {
+                consumer,
+                socketId,
+                kind,
+                isPresentation
+            });
+
+            if (isPresentation) {
+                this.presentations.set(producerId, {
+                    socketId,
+                    kind,
+                    peerName,
+                    presentationIndex
+                });
+
+                this.createPresentationElement(producerId, consumer, kind, peerName, presentationIndex);
+
+                if (this.videoSwitcher.style.display === 'block') {
+                    this.updateVideoSwitcherList();
+                }
+            } else {
+                if (!this.userStates.has(socketId)) {
+                    this.userStates.set(socketId, { name: peerName, userIndex, videoEnabled: true, audioEnabled: true });
+                }
+
+                this.createUserElement(socketId, consumer, kind, peerName, userIndex);
+            }
+
+            console.log(`✅ Successfully consumed ${isPresentation ? 'presentation' : 'user'} ${kind} from ${peerName}`);
+
+        } catch (error) {
+            console.error(`❌ Error consuming ${kind} from ${socketId}:`, error);
+        }
+    }
+
+    createUserElement(socketId, consumer, kind, peerName, userIndex) {
+        const elementId = `user-${socketId}`;
+        let mediaElement = document.getElementById(elementId);
+
+        const userState = this.userStates.get(socketId);
+        const videoEnabled = userState ? userState.videoEnabled : true;
+        const audioEnabled = userState ? userState.audioEnabled : true;
+
+        if (!mediaElement) {
+            mediaElement = document.createElement('div');
+            mediaElement.className = 'video-wrapper peer';
+            mediaElement.id = elementId;
+
+            mediaElement.innerHTML = `
+                <div class="video-header">
+                    <div class="video-title">${peerName}</div>
+                </div>
+                <div class="screen-number">scr${userIndex}</div>
+                <div class="status-indicators">
+                    <div class="status-indicator status-video-${videoEnabled ? 'active' : 'muted'}">
+                        ${videoEnabled ? '📹' : '🚫'}
+                    </div>
+                    <div class="status-indicator status-audio-${audioEnabled ? 'active' : 'muted'}">
+                        ${audioEnabled ? '🎤' : '🚫'}
+                    </div>
+                    <div class="status-indicator media-mode-indicator" style="display: none;"></div>
+                </div>
+                <video autoplay playsinline class="user-video"></video>
+                <audio autoplay></audio>
+            `;
+
+            if (this.canModerate(socketId)) {
+                this.addModerationControls(mediaElement, socketId, [
+                    { action: 'mute-audio', icon: '🔇', title: 'Mute microphone' },
+                    { action: 'mute-video', icon: '📷', title: 'Turn off camera' },
+                    { action: 'allow-unmute-audio', icon: '🎙️', title: 'Allow to unmute microphone' },
+                    { action: 'allow-unmute-video', icon: '🎥', title: 'Allow to turn camera back on' },
+                    { action: 'remove', icon: '⛔', title: 'Remove from call' },
+                    { action: 'ban', icon: '🚷', title: 'Remove and block from rejoining' }
+                ]);
+            }
+
+            if (socketId === this.activeSpeakerId) {
+                mediaElement.classList.add('active-speaker');
+            }
+
+            document.getElementById('peersContainer').appendChild(mediaElement);
+            if (userState) {
+                this.updateUserMediaMode(socketId, userState.mediaMode);
+            }
+            console.log(`🎨 Created user element for ${peerName} with ID: ${elementId}`);
+        }
+
+        this.setupMediaElement(mediaElement, consumer, kind);
+    }
+
+    createPresentationElement(producerId, consumer, kind, peerName, presentationIndex) {
+        const elementId = `presentation-${producerId}`;
+        // Audio and video of one prN (a WHIP encoder) share a tile, named after the video
+        let mediaElement = document.getElementById(elementId) || this.getPresentationTile(producerId);
+        if (mediaElement && kind === 'video') {
+            mediaElement.id = elementId;
+        }
+
+        if (!mediaElement) {
+            mediaElement = document.createElement('div');
+            mediaElement.className = 'video-wrapper screen-share';
+            mediaElement.id = elementId;
+            mediaElement.dataset.presentationIndex = presentationIndex;
+
+            const presentation = this.presentations.get(producerId);
+            const ownerSocketId = presentation ? presentation.socketId : null;
+            const isOwn = this.socket && this.socket.id === ownerSocketId;
+            const title = isOwn ? 'Your Screen Share' : `${peerName}'s Screen`;
+
+            mediaElement.innerHTML = `
+                <div class="video-header">
+                    <div class="video-title">${title}</div>
+                </div>
+                <div class="screen-number">pr${presentationIndex}</div>
+                <video autoplay playsinline class="presentation-video"></video>
+                <audio autoplay></audio>
+            `;
+
+            if (!isOwn && this.canModerate(ownerSocketId)) {
+                this.addModerationControls(mediaElement, ownerSocketId, [
+                    { action: 'stop-presentation', icon: '⏹️', title: 'End this screen share' }
+                ]);
+            }
+
+            const presentationsContainer = document.getElementById('presentationsContainer') || this.createPresentationsContainer();
+            presentationsContainer.appendChild(mediaElement);
+
+            document.getElementById('presentationsSection').style.display = 'block';
+
+            console.log(`🎨 Created presentation element for ${peerName} with ID: ${elementId} (pr${presentationIndex})`);
+        }
+
+        this.setupMediaElement(mediaElement, consumer, kind);
+    }
+
+    getPresentationTile(producerId) {
+        const presentation = this.presentations.get(producerId);
+        return presentation
+            ? document.querySelector(`.screen-share[data-presentation-index="${presentation.presentationIndex}"]`)
+            : null;
+    }
+
+    // Hosts can moderate everyone except other hosts
+    canModerate(socketId) {
+        const user = this.userStates.get(socketId);
+        return this.permissions.moderate && socketId !== this.socket.id && (!user || user.role !== 'host');
+    }
+
+    addModerationControls(mediaElement, socketId, actions) {
+        const controls = document.createElement('div');
+        controls.className = 'moderation-controls';
+
+        actions.forEach(({ action, icon, title }) => {
+            const btn = document.createElement('button');
+            btn.className = 'moderation-btn';
+            btn.title = title;
+            btn.textContent = icon;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.moderate(action, mediaElement.dataset.socketId);
+            });
+            controls.appendChild(btn);
+        });
+
+        // Kept up to date when the owner resumes on a new socket (see rekeyRemoteUser)
+        mediaElement.dataset.socketId = socketId;
+        mediaElement.appendChild(controls);
+    }
+
+    async moderate(action, socketId) {
+        const user = this.userStates.get(socketId);
+        const name = user ? user.name : 'this participant';
+
+        try {
+            switch (action) {
+                case 'mute-audio':
+                    await this.request('mute-participant', { socketId, kind: 'audio' });
+                    break;
+                case 'mute-video':
+                    await this.request('mute-participant', { socketId, kind: 'video' });
+                    break;
+                case 'allow-unmute-audio':
+                    await this.request('allow-unmute', { socketId, kind: 'audio' });
+                    break;
+                case 'allow-unmute-video':
+                    await this.request('allow-unmute', { socketId, kind: 'video' });
+                    break;
+                case 'stop-presentation':
+                    await this.request('stop-presentation', { socketId });
+                    break;
+                case 'remove':
+                case 'ban': {
+                    const ban = action === 'ban';
+                    if (!confirm(ban ? `Remove ${name} and block them from rejoining?` : `Remove ${name} from the call?`)) return;
+                    const reason = prompt('Reason shown to the participant (optional):') || undefined;
+                    await this.request('remove-participant', { socketId, ban, reason });
+                    break;
+                }
+            }
+            console.log(`🛡️ Moderation ${action} applied to ${socketId}`);
+        } catch (error) {
+            this.showNotice(`Moderation failed: ${error.message}`);
+        }
+    }
+
+    // Simulcast - tell the server how large each remote video is drawn
+    watchTileSize(tile, consumer) {
+        tile.dataset.videoConsumerId = consumer.id;
+        delete tile.dataset.reportedHeight;
+        this.tileResizeObserver.observe(tile);
+        this.tileVisibilityObserver.observe(tile);
+        this.scheduleTileReport(tile);
+    }
+
+    scheduleTileReport(tile) {
+        clearTimeout(this.tileReportTimers.get(tile));
+        this.tileReportTimers.set(tile, setTimeout(() => {
+            this.tileReportTimers.delete(tile);
+            this.reportTileSize(tile);
+        }, 300));
+    }
+
+    async reportTileSize(tile) {
+        if (!tile.isConnected) {
+            this.tileResizeObserver.unobserve(tile);
+            this.tileVisibilityObserver.unobserve(tile);
+            return;
+        }
+
+        const visible = document.visibilityState === 'visible' && tile.dataset.visible !== 'false';
+        const height = visible ? Math.round(tile.clientHeight * window.devicePixelRatio) : 0;
+        if (tile.dataset.reportedHeight === String(height)) return;
+        tile.dataset.reportedHeight = height;
+
+        try {
+            await this.request('set-tile-size', { consumerId: tile.dataset.videoConsumerId, height });
+        } catch (error) {
+            console.warn(`Tile size report failed: ${error.message}`);
+        }
+    }
+
+    // Speaker detection - tiles keep their classes when swapped, so ids are enough
+    getUserTile(socketId) {
+        if (this.socket && socketId === this.socket.id) {
+            return document.querySelector('.video-wrapper.self');
+        }
+        return document.getElementById(`user-${socketId}`);
+    }
+
+    setActiveSpeaker(socketId) {
+        this.activeSpeakerId = socketId || null;
+
+        document.querySelectorAll('.video-wrapper.active-speaker').forEach(tile => {
+            tile.classList.remove('active-speaker');
+        });
+
+        const tile = this.activeSpeakerId ? this.getUserTile(this.activeSpeakerId) : null;
+        if (tile) {
+            tile.classList.add('active-speaker');
+        }
+    }
+
+    updateAudioLevels(levels) {
+        const speaking = new Set(levels.map(level => level.socketId));
+
+        document.querySelectorAll('.video-wrapper.speaking').forEach(tile => {
+            tile.classList.remove('speaking');
+        });
+
+        speaking.forEach(socketId => {
+            const tile = this.getUserTile(socketId);
+            if (tile) {
+                tile.classList.add('speaking');
+            }
+        });
+    }
+
+    // Speaker view enlarges the active speaker tile in the users grid
+    toggleSpeakerView() {
+        this.speakerView = !this.speakerView;
+        document.getElementById('peersContainer').classList.toggle('speaker-view', this.speakerView);
+
+        const speakerViewBtn = document.getElementById('speakerViewBtn');
+        speakerViewBtn.classList.toggle('active', this.speakerView);
+        speakerViewBtn.textContent = this.speakerView ? '🗣️ Grid View' : '🗣️ Speaker View';
+    }
+
+    // Stats overlay - browser stats of every consumer and camera producer plus the server view of our transports
+    toggleStats() {
+        this.statsEnabled = !this.statsEnabled;
+
+        const statsBtn = document.getElementById('statsBtn');
+        statsBtn.classList.toggle('active', this.statsEnabled);
+        statsBtn.textContent = this.statsEnabled ? '📊 Hide Stats' : '📊 Stats';
+
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+        if (this.statsEnabled) {
+            this.statsTimer = setInterval(() => this.updateStatsOverlays(), STATS_INTERVAL_MS);
+            this.updateStatsOverlays();
+        } else {
+            document.querySelectorAll('.stats-overlay').forEach(overlay => overlay.remove());
+            this.statsSamples.clear();
+        }
+    }
+
+    async updateStatsOverlays() {
+        // Media per tile: our camera producers on the self tile, consumers on user and presentation tiles
+        const tiles = new Map(); // tile -> { direction, sources: [{ key, source }] }
+        const addSource = (tile, direction, key, source) => {
+            if (!tile) return;
+            if (!tiles.has(tile)) {
+                tiles.set(tile, { direction, sources: [] });
+            }
+            tiles.get(tile).sources.push({ key, source });
+        };
+
+        const selfTile = document.querySelector('.video-wrapper.self');
+        ['camera-video', 'camera-audio'].forEach(key => addSource(selfTile, 'send', key, this.producers.get(key)));
+        this.consumers.forEach((consumerData, producerId) => {
+            const tile = consumerData.isPresentation
+                ? this.getPresentationTile(producerId)
+                : document.getElementById(`user-${consumerData.socketId}`);
+            addSource(tile, 'recv', producerId, consumerData.consumer);
+        });
+
+        let serverTransports = [];
+        if (this.socket && this.socket.connected) {
+            try {
+                serverTransports = (await this.request('get-transport-stats')).transports;
+            } catch (error) {
+                console.warn('⚠️ Failed to get server transport stats:', error.message);
+            }
         }
 
-        const userVideo = document.getElementById(`user-${socketId}`);
-        if (userVideo) userVideo.remove();
-
-        this.removeUserPresentations(socketId);
+        for (const [tile, { direction, sources }] of tiles) {
+            const lines = [];
+            let iceLine = null;
 
-        this.consumers.forEach((consumerData, producerId) => {
-            if (consumerData.socketId === socketId) {
+            for (const { key, source } of sources) {
+                if (!source || source.closed) continue;
                 try {
-                    consumerData.consumer.close();
-                    if (consumerData.transport) {
-                        consumerData.transport.close();
-                    }
+                    const summary = this.summarizeRtpStats(await source.getStats(), key);
+                    if (!summary) continue;
+                    lines.push(this.formatRtpSummary(source.kind, summary));
+                    iceLine = iceLine || summary.ice;
                 } catch (error) {
-                    console.error(`Error closing consumer for ${socketId}:`, error);
+                    console.warn(`⚠️ Failed to get stats for ${key}:`, error.message);
                 }
-                this.consumers.delete(producerId);
             }
-        });
 
-        this.userStates.delete(socketId);
+            const serverTransport = serverTransports.find(transport => transport.direction === direction);
+            if (iceLine) {
+                lines.push(`ICE ${iceLine}`);
+            }
+            if (serverTransport) {
+                lines.push(`server ↓${this.formatBitrate(serverTransport.recvBitrate)} ↑${this.formatBitrate(serverTransport.sendBitrate)} ` +
+                    `${serverTransport.protocol || '-'} ${serverTransport.iceState}`);
+            }
 
-        if (this.videoSwitcher.style.display === 'block') {
-            this.updateVideoSwitcherList();
+            // The overlay may have been turned off while the stats were collected
+            if (this.statsEnabled && tile.isConnected) {
+                this.renderStatsOverlay(tile, lines.length > 0 ? lines : ['no media']);
+            }
         }
+    }
 
-        this.updateRoomStatus();
+    // Picture, bitrate, loss, jitter, RTT, codec and ICE path of one producer or consumer
+    summarizeRtpStats(report, sampleKey) {
+        const rtpStats = [];
+        const remoteStats = [];
+        let transport = null;
+        report.forEach(stat => {
+            if (stat.type === 'inbound-rtp' || stat.type === 'outbound-rtp') rtpStats.push(stat);
+            if (stat.type === 'remote-inbound-rtp') remoteStats.push(stat);
+            if (stat.type === 'transport') transport = stat;
+        });
+        if (rtpStats.length === 0) return null;
+
+        // Simulcast producers have one outbound-rtp per layer - the largest one describes the picture
+        const main = rtpStats.reduce((best, stat) => ((stat.frameWidth || 0) > (best.frameWidth || 0) ? stat : best));
+        const inbound = main.type === 'inbound-rtp';
+        const bytes = rtpStats.reduce((sum, stat) => sum + ((inbound ? stat.bytesReceived : stat.bytesSent) || 0), 0);
+
+        const previous = this.statsSamples.get(sampleKey);
+        this.statsSamples.set(sampleKey, { bytes, timestamp: main.timestamp });
+        const bitrate = previous && main.timestamp > previous.timestamp
+            ? (bytes - previous.bytes) * 8000 / (main.timestamp - previous.timestamp)
+            : null;
+
+        // Loss and jitter of what we send are reported back by the receiver
+        let lost, total, jitter;
+        if (inbound) {
+            lost = main.packetsLost || 0;
+            total = lost + (main.packetsReceived || 0);
+            jitter = main.jitter;
+        } else {
+            const remote = remoteStats.find(stat => stat.localId === main.id) || remoteStats[0];
+            lost = remote ? remote.packetsLost || 0 : 0;
+            total = rtpStats.reduce((sum, stat) => sum + (stat.packetsSent || 0), 0);
+            jitter = remote ? remote.jitter : undefined;
+        }
 
-        console.log(`🗑️ User left: ${socketId}`);
+        let pair = transport && transport.selectedCandidatePairId ? report.get(transport.selectedCandidatePairId) : null;
+        if (!pair) {
+            report.forEach(stat => {
+                if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') pair = stat;
+            });
+        }
+        const localCandidate = pair ? report.get(pair.localCandidateId) : null;
+        const codec = main.codecId ? report.get(main.codecId) : null;
+
+        return {
+            width: main.frameWidth,
+            height: main.frameHeight,
+            fps: main.framesPerSecond,
+            bitrate,
+            loss: total > 0 ? (lost / total) * 100 : 0,
+            jitter: jitter !== undefined ? jitter * 1000 : null,
+            rtt: pair && pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime * 1000 : null,
+            codec: codec ? codec.mimeType.split('/')[1] : null,
+            ice: localCandidate
+                ? `${localCandidate.candidateType}/${localCandidate.relayProtocol || localCandidate.protocol}`
+                : null
+        };
     }
 
-    async consumeUserProducer(data) {
-        await this.consumeProducer(data, false);
+    formatRtpSummary(kind, summary) {
+        const parts = [kind, summary.codec || '?'];
+        if (kind === 'video' && summary.width) {
+            parts.push(`${summary.width}x${summary.height}`, `${Math.round(summary.fps || 0)}fps`);
+        }
+        parts.push(this.formatBitrate(summary.bitrate), `loss ${summary.loss.toFixed(1)}%`);
+        if (summary.jitter !== null) parts.push(`jitter ${Math.round(summary.jitter)}ms`);
+        if (summary.rtt !== null) parts.push(`rtt ${Math.round(summary.rtt)}ms`);
+        return parts.join(' ');
     }
 
-    async consumePresentation(data) {
-        await this.consumeProducer(data, true);
+    formatBitrate(bitsPerSecond) {
+        if (bitsPerSecond === null || bitsPerSecond === undefined) return '- kbps';
+        return bitsPerSecond >= 1000000
+            ? `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`
+            : `${Math.round(bitsPerSecond / 1000)} kbps`;
     }
 
-    async consumeProducer(data, isPresentation) {
-        const { id: producerId, socketId, kind, peerName, userIndex, presentationIndex } = data;
-
-        if (socketId === this.socket.id && !isPresentation) {
-            console.log(`⏭️ Skipping consumption of own producer ${producerId}`);
-            return;
+    renderStatsOverlay(tile, lines) {
+        let overlay = tile.querySelector('.stats-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'stats-overlay';
+            tile.appendChild(overlay);
         }
+        overlay.textContent = lines.join('\n');
+    }
 
-        if (this.consumers.has(producerId)) {
-            console.log(`⏭️ Already consuming producer ${producerId}, skipping`);
-            return;
-        }
+    // Network quality indicator: sender side (↑) and receiver side (↓) per tile
+    scoreToLevel(score) {
+        return Math.round(score / 2);
+    }
 
-        console.log(`🔄 Starting to consume ${isPresentation ? 'presentation' : 'user'} ${kind} from ${peerName}`);
+    // A remote tile shows the worst of its consumers: how well the owner sends and how well we receive
+    renderTileQuality(producerId) {
+        const consumerData = this.consumers.get(producerId);
+        if (!consumerData) return;
+
+        const tile = consumerData.isPresentation
+            ? this.getPresentationTile(producerId)
+            : document.getElementById(`user-${consumerData.socketId}`);
+        if (!tile) return;
+
+        const scores = [];
+        this.consumers.forEach((otherData, otherProducerId) => {
+            const sameTile = consumerData.isPresentation
+                ? otherData.isPresentation && this.getPresentationTile(otherProducerId) === tile
+                : !otherData.isPresentation && otherData.socketId === consumerData.socketId;
+            if (sameTile && this.consumerScores.has(otherProducerId)) {
+                scores.push(this.consumerScores.get(otherProducerId));
+            }
+        });
+        if (scores.length === 0) return;
 
-        try {
-            const transportData = await this.fetchJSON(`${CONFIG.URL_PREFIX}/create-transport`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    socketId: this.socket.id,
-                    direction: 'recv'
-                })
-            });
+        this.renderQualityIndicator(tile,
+            this.scoreToLevel(Math.min(...scores.map(score => score.producerScore))),
+            this.scoreToLevel(Math.min(...scores.map(score => score.score))));
+    }
 
-            const consumerTransport = this.device.createRecvTransport(transportData);
-            this.consumerTransports.set(consumerTransport.id, consumerTransport);
+    // Our uplink: the server's scores of our producers combined with our own outbound stats
+    getUplinkLevel() {
+        const levels = [];
+        ['camera-audio', 'camera-video'].forEach(key => {
+            const producer = this.producers.get(key);
+            // Paused producers send nothing, so their score says nothing about the network
+            if (producer && !producer.closed && !producer.paused && this.producerScores.has(producer.id)) {
+                levels.push(this.scoreToLevel(this.producerScores.get(producer.id)));
+            }
+        });
+        if (this.uplinkStatsLevel !== null) {
+            levels.push(this.uplinkStatsLevel);
+        }
+        return levels.length > 0 ? Math.min(...levels) : null;
+    }
 
-            consumerTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
-                try {
-                    console.log(`🔗 Connecting consumer transport for ${producerId}...`);
-                    await this.fetchJSON(`${CONFIG.URL_PREFIX}/connect-transport`, {
-                        method: 'POST',
-                        body: JSON.stringify({
-                            transportId: consumerTransport.id,
-                            dtlsParameters
-                        })
-                    });
-                    console.log(`✅ Consumer transport connected for ${producerId}`);
-                    callback();
-                } catch (error) {
-                    console.error(`❌ Consumer transport connection failed for ${producerId}:`, error);
-                    errback(error);
-                }
-            });
+    renderOwnQuality() {
+        const level = this.getUplinkLevel();
+        if (level !== null) {
+            this.renderQualityIndicator(document.querySelector('.video-wrapper.self'), level, null);
+        }
+        return level;
+    }
 
-            consumerTransport.on('connectionstatechange', (state) => {
-                console.log(`🔗 Consumer transport for ${producerId} state: ${state}`);
-            });
+    async updateUplinkQuality() {
+        const producers = ['camera-audio', 'camera-video']
+            .map(key => this.producers.get(key))
+            .filter(producer => producer && !producer.closed && !producer.paused);
 
-            console.log(`📡 Consuming producer ${producerId}...`);
-            const consumerData = await this.fetchJSON(`${CONFIG.URL_PREFIX}/consume`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    transportId: consumerTransport.id,
-                    producerId,
-                    rtpCapabilities: this.device.rtpCapabilities
-                })
-            });
+        let sent = 0;
+        let lost = 0;
+        let rtt = null;
+        let bandwidthLimited = false;
+        for (const producer of producers) {
+            try {
+                const report = await producer.getStats();
+                report.forEach(stat => {
+                    if (stat.type === 'outbound-rtp') {
+                        sent += stat.packetsSent || 0;
+                        if (stat.qualityLimitationReason === 'bandwidth') bandwidthLimited = true;
+                    } else if (stat.type === 'remote-inbound-rtp') {
+                        lost += stat.packetsLost || 0;
+                        if (stat.roundTripTime !== undefined) rtt = Math.max(rtt || 0, stat.roundTripTime);
+                    }
+                });
+            } catch (error) {
+                console.warn('⚠️ Failed to get producer stats:', error.message);
+            }
+        }
 
-            const consumer = await consumerTransport.consume(consumerData);
+        // Loss since the previous sample rather than since the call started
+        const previous = this.uplinkSample;
+        this.uplinkSample = { sent, lost };
+        this.uplinkStatsLevel = previous && sent > previous.sent
+            ? this.rateUplink(Math.max(0, lost - previous.lost) / (sent - previous.sent), rtt, bandwidthLimited)
+            : null;
+
+        const level = this.renderOwnQuality();
+        this.poorUplinkSamples = level !== null && level <= 2 ? this.poorUplinkSamples + 1 : 0;
+        // Two poor samples in a row before warning, so a single hiccup does not flash the banner
+        document.getElementById('networkWarning').style.display = this.poorUplinkSamples >= 2 ? '' : 'none';
+    }
 
-            this.consumers.set(producerId, {
-                consumer,
-                transport: consumerTransport,
-                socketId,
-                kind,
-                isPresentation
-            });
+    // 0-5 from the recent loss rate and round trip time of what we send
+    rateUplink(lossRate, rtt, bandwidthLimited) {
+        let level = lossRate < 0.02 ? 5 : lossRate < 0.05 ? 4 : lossRate < 0.1 ? 3 : lossRate < 0.2 ? 2 : 1;
+        if (rtt !== null && rtt > 0.4) {
+            level = Math.min(level, 2);
+        } else if (rtt !== null && rtt > 0.25) {
+            level = Math.min(level, 3);
+        }
+        if (bandwidthLimited) {
+            level = Math.min(level, 3);
+        }
+        return level;
+    }
 
-            if (isPresentation) {
-                this.presentations.set(producerId, {
-                    socketId,
-                    peerName,
-                    presentationIndex
-                });
+    // Five bars per direction, null hides a direction
+    renderQualityIndicator(tile, sendLevel, recvLevel) {
+        let indicator = tile.querySelector('.quality-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'quality-indicator';
+            indicator.innerHTML = `
+                <span class="quality-send"><span class="quality-label">↑</span>${'<i></i>'.repeat(5)}</span>
+                <span class="quality-recv"><span class="quality-label">↓</span>${'<i></i>'.repeat(5)}</span>
+            `;
+            tile.appendChild(indicator);
+        }
 
-                this.createPresentationElement(producerId, consumer, kind, peerName, presentationIndex);
+        [['send', sendLevel], ['recv', recvLevel]].forEach(([direction, level]) => {
+            const group = indicator.querySelector(`.quality-${direction}`);
+            group.style.display = level === null ? 'none' : '';
+            if (level === null) return;
 
-                if (this.videoSwitcher.style.display === 'block') {
-                    this.updateVideoSwitcherList();
-                }
-            } else {
-                if (!this.userStates.has(socketId)) {
-                    this.userStates.set(socketId, { name: peerName, userIndex, videoEnabled: true, audioEnabled: true });
-                }
+            group.dataset.level = level;
+            group.querySelectorAll('i').forEach((bar, index) => bar.classList.toggle('on', index < level));
+        });
 
-                this.createUserElement(socketId, consumer, kind, peerName, userIndex);
-            }
+        const titles = [];
+        if (sendLevel !== null) titles.push(`Sending: ${sendLevel}/5`);
+        if (recvLevel !== null) titles.push(`Receiving: ${recvLevel}/5`);
+        indicator.title = titles.join(', ');
+    }
 
-            console.log(`✅ Successfully consumed ${isPresentation ? 'presentation' : 'user'} ${kind} from ${peerName}`);
+    // In-call chat
+    initializeChat() {
+        this.chatPanel = document.getElementById('chatPanel');
+        this.chatMessages = document.getElementById('chatMessages');
 
-        } catch (error) {
-            console.error(`❌ Error consuming ${kind} from ${socketId}:`, error);
+        document.getElementById('chatBtn').addEventListener('click', () => this.toggleChatPanel());
+        document.getElementById('chatCloseBtn').addEventListener('click', () => this.toggleChatPanel(false));
+        document.getElementById('chatForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChatMessage();
+        });
+    }
+
+    toggleChatPanel(open = !this.chatOpen) {
+        this.chatOpen = open;
+        this.chatPanel.style.display = open ? 'flex' : 'none';
+        if (open) {
+            this.setUnreadChatCount(0);
+            this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+            document.getElementById('chatInput').focus();
         }
     }
 
-    createUserElement(socketId, consumer, kind, peerName, userIndex) {
-        const elementId = `user-${socketId}`;
-        let mediaElement = document.getElementById(elementId);
+    setUnreadChatCount(count) {
+        this.unreadChatCount = count;
+        const badge = document.getElementById('chatBadge');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? '' : 'none';
+    }
 
-        const userState = this.userStates.get(socketId);
-        const videoEnabled = userState ? userState.videoEnabled : true;
-        const audioEnabled = userState ? userState.audioEnabled : true;
+    renderChatHistory(history) {
+        this.chatMessages.innerHTML = '';
+        this.chatMessageIds.clear();
+        history.forEach(message => this.appendChatMessage(message));
+    }
 
-        if (!mediaElement) {
-            mediaElement = document.createElement('div');
-            mediaElement.className = 'video-wrapper peer';
-            mediaElement.id = elementId;
+    appendChatMessage(message) {
+        // History is sent again when a session resumes
+        if (this.chatMessageIds.has(message.id)) return;
+        this.chatMessageIds.add(message.id);
 
-            mediaElement.innerHTML = `
-                <div class="video-header">
-                    <div class="video-title">${peerName}</div>
-                </div>
-                <div class="screen-number">scr${userIndex}</div>
-                <div class="status-indicators">
-                    <div class="status-indicator status-video-${videoEnabled ? 'active' : 'muted'}">
-                        ${videoEnabled ? '📹' : '🚫'}
-                    </div>
-                    <div class="status-indicator status-audio-${audioEnabled ? 'active' : 'muted'}">
-                        ${audioEnabled ? '🎤' : '🚫'}
-                    </div>
-                </div>
-                <video autoplay playsinline class="user-video"></video>
-                <audio autoplay></audio>
-            `;
+        const isOwn = this.socket && message.from === this.socket.id;
 
-            document.getElementById('peersContainer').appendChild(mediaElement);
-            console.log(`🎨 Created user element for ${peerName} with ID: ${elementId}`);
+        const item = document.createElement('div');
+        item.className = 'chat-message';
+        if (isOwn) item.classList.add('own');
+        if (message.private) item.classList.add('private');
+
+        const meta = document.createElement('div');
+        meta.className = 'chat-meta';
+        const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        let sender = `${message.name} (scr${message.userIndex})`;
+        if (message.private) {
+            sender += isOwn ? ` → ${message.toName} (private)` : ' (private)';
         }
+        meta.textContent = `${sender} · ${time}`;
 
-        this.setupMediaElement(mediaElement, consumer, kind);
-    }
+        // Message text is HTML-escaped by the server
+        const text = document.createElement('div');
+        text.className = 'chat-text';
+        text.innerHTML = message.text;
 
-    createPresentationElement(producerId, consumer, kind, peerName, presentationIndex) {
-        const elementId = `presentation-${producerId}`;
-        let mediaElement = document.getElementById(elementId);
+        item.append(meta, text);
+        this.chatMessages.appendChild(item);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
 
-        if (!mediaElement) {
-            mediaElement = document.createElement('div');
-            mediaElement.className = 'video-wrapper screen-share';
-            mediaElement.id = elementId;
+    updateChatRecipients() {
+        const select = document.getElementById('chatRecipient');
+        const selected = select.value;
+        select.innerHTML = '<option value="">Everyone</option>';
 
-            const isOwn = this.socket && this.socket.id === consumer.socketId;
-            const title = isOwn ? 'Your Screen Share' : `${peerName}'s Screen`;
+        this.userStates.forEach((user, socketId) => {
+            const option = document.createElement('option');
+            option.value = socketId;
+            option.textContent = `${user.name} (scr${user.userIndex})`;
+            select.appendChild(option);
+        });
 
-            mediaElement.innerHTML = `
-                <div class="video-header">
-                    <div class="video-title">${title}</div>
-                </div>
-                <div class="screen-number">pr${presentationIndex}</div>
-                <video autoplay playsinline class="presentation-video"></video>
-                <audio autoplay></audio>
-            `;
+        // Keep the private recipient while they are still in the room
+        select.value = this.userStates.has(selected) ? selected : '';
+    }
 
-            const presentationsContainer = document.getElementById('presentationsContainer') || this.createPresentationsContainer();
-            presentationsContainer.appendChild(mediaElement);
+    async sendChatMessage() {
+        const input = document.getElementById('chatInput');
+        const text = input.value.trim();
+        if (!text) return;
 
-            document.getElementById('presentationsSection').style.display = 'block';
+        if (!this.isStarted || !this.socket) {
+            this.showNotice('Join the conference to chat');
+            return;
+        }
 
-            console.log(`🎨 Created presentation element for ${peerName} with ID: ${elementId} (pr${presentationIndex})`);
+        const to = document.getElementById('chatRecipient').value || null;
+        try {
+            const message = await this.request('chat-message', { text, to });
+            input.value = '';
+            this.appendChatMessage(message);
+        } catch (error) {
+            this.showNotice(`Message not sent: ${error.message}`);
         }
+    }
 
-        this.setupMediaElement(mediaElement, consumer, kind);
+    // Short non-blocking message at the bottom of the page
+    showNotice(message) {
+        const notice = document.createElement('div');
+        notice.className = 'notice-toast';
+        notice.textContent = message;
+        document.body.appendChild(notice);
+        setTimeout(() => notice.remove(), 5000);
     }
 
     setupMediaElement(mediaElement, consumer, kind) {
@@ -1156,14 +3041,17 @@ class VideoConference {
             if (kind === 'video') {
                 const stream = new MediaStream([consumer.track]);
                 if (video) {
+                    this.applySpeaker(video);
                     video.srcObject = stream;
                     video.onloadedmetadata = () => {
                         video.play().catch(e => console.warn('Video play failed:', e));
                     };
                 }
+                this.watchTileSize(mediaElement, consumer);
             } else if (kind === 'audio') {
                 const stream = new MediaStream([consumer.track]);
                 if (audio) {
+                    this.applySpeaker(audio);
                     audio.srcObject = stream;
                     audio.play().catch(e => console.warn('Audio play failed:', e));
                 }
@@ -1171,6 +3059,18 @@ class VideoConference {
         } catch (error) {
             console.error('Error setting up media element:', error);
         }
+
+        this.resumeConsumer(consumer);
+    }
+
+    // Consumers are created paused - resume once the track is attached so the first keyframe is not lost
+    async resumeConsumer(consumer) {
+        try {
+            await this.request('resume-consumer', { consumerId: consumer.id });
+            console.log(`▶️ Resumed consumer ${consumer.id}`);
+        } catch (error) {
+            console.error(`❌ Failed to resume consumer ${consumer.id}:`, error);
+        }
     }
 
     removePresentation(producerId) {
@@ -1190,9 +3090,6 @@ class VideoConference {
         if (consumerData) {
             try {
                 consumerData.consumer.close();
-                if (consumerData.transport) {
-                    consumerData.transport.close();
-                }
             } catch (error) {
                 console.error(`Error closing presentation consumer ${producerId}:`, error);
             }
@@ -1251,9 +3148,6 @@ class VideoConference {
         this.consumers.forEach((consumerData, producerId) => {
             try {
                 consumerData.consumer.close();
-                if (consumerData.transport) {
-                    consumerData.transport.close();
-                }
             } catch (error) {
                 console.error('Error during disconnect cleanup:', error);
             }
@@ -1275,6 +3169,14 @@ class VideoConference {
             }
         }
 
+        if (this.consumerTransport) {
+            try {
+                this.consumerTransport.close();
+            } catch (error) {
+                console.error('Error closing consumer transport:', error);
+            }
+        }
+
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
         }
@@ -1284,9 +3186,39 @@ class VideoConference {
         }
 
         this.consumers.clear();
-        this.consumerTransports.clear();
+        this.consumerTransport = null;
+        this.consumerTransportPromise = null;
+        if (this.statsEnabled) {
+            this.toggleStats();
+        }
+        this.toggleDevicePanel(false);
+        this.toggleViewerPanel(false);
+        this.mediaMode = 'full';
+        this.videoEnabledBeforeAudioOnly = false;
+        this.renderMediaMode();
+        clearInterval(this.qualityTimer);
+        this.qualityTimer = null;
+        this.producerScores.clear();
+        this.consumerScores.clear();
+        this.uplinkStatsLevel = null;
+        this.uplinkSample = null;
+        this.poorUplinkSamples = 0;
+        document.getElementById('networkWarning').style.display = 'none';
+        document.querySelectorAll('.quality-indicator').forEach(indicator => indicator.remove());
+        this.saveResumeToken(null);
+        this.reconnecting = false;
+        document.querySelector('.video-wrapper.self').classList.remove('reconnecting');
         this.producers.clear();
+        this.videoEnabled = this.mediaPreferences.videoEnabled;
+        this.audioEnabled = this.mediaPreferences.audioEnabled;
+        this.hostMuted = { audio: false, video: false };
+        this.applyLocalMediaState();
         this.userStates.clear();
+        this.updateChatRecipients();
+        this.setActiveSpeaker(null);
+        this.updateAudioLevels([]);
+        this.updateRecordingStatus(null);
+        this.updateCompositeStatus(null);
         this.presentations.clear();
         this.activeScreenProducers.clear();
         this.pendingProducers = [];
@@ -1321,6 +3253,8 @@ class VideoConference {
         this.hideSwapInstructions();
         this.clearSwapHighlights();
         this.disableSwapModeVisuals();
+        document.getElementById('lobbyPanel').style.display = 'none';
+        this.showPrejoin();
 
         console.log("🔄 Client reset after disconnect");
     }
@@ -1328,33 +3262,7 @@ class VideoConference {
     async toggleScreenShare() {
         try {
             if (this.isSharingScreen) {
-                console.log("🔄 Stopping screen share...");
-
-                this.socket.emit('stop-screen-share');
-
-                if (this.screenStream) {
-                    this.screenStream.getTracks().forEach(track => track.stop());
-                    this.screenStream = null;
-                }
-
-                this.producers.forEach((producer, key) => {
-                    if (key.includes('screen')) {
-                        try {
-                            producer.close();
-                        } catch (error) {
-                            console.error(`Error closing screen producer ${key}:`, error);
-                        }
-                        this.producers.delete(key);
-                    }
-                });
-
-                this.activeScreenProducers.clear();
-
-                this.isSharingScreen = false;
-                document.getElementById('screenShareBtn').textContent = '📺 Share Screen';
-
-                console.log('🔄 Stopped screen share');
-
+                this.stopScreenShare(true);
             } else {
                 this.isSharingScreen = true;
 
@@ -1392,75 +3300,168 @@ class VideoConference {
         }
     }
 
-    toggleVideo() {
-        this.videoEnabled = !this.videoEnabled;
+    // Release the local screen share; the server is only told when we stop it ourselves
+    stopScreenShare(notifyServer) {
+        if (!this.isSharingScreen) return;
 
-        if (this.localStream) {
-            const videoTrack = this.localStream.getVideoTracks()[0];
-            if (videoTrack) videoTrack.enabled = this.videoEnabled;
+        console.log("🔄 Stopping screen share...");
+
+        if (notifyServer) {
+            this.socket.emit('stop-screen-share');
+        }
+
+        if (this.screenStream) {
+            this.screenStream.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
+            this.screenStream = null;
         }
 
-        const btn = document.getElementById('toggleVideoBtn');
-        btn.textContent = this.videoEnabled ? '📹 Video On' : '🚫 Video Off';
-        btn.classList.toggle('active', this.videoEnabled);
+        this.producers.forEach((producer, key) => {
+            if (key.includes('screen')) {
+                try {
+                    producer.close();
+                } catch (error) {
+                    console.error(`Error closing screen producer ${key}:`, error);
+                }
+                this.producers.delete(key);
+            }
+        });
+
+        this.activeScreenProducers.clear();
+
+        this.isSharingScreen = false;
+        document.getElementById('screenShareBtn').textContent = '📺 Share Screen';
+
+        console.log('🔄 Stopped screen share');
+
+        if (this.videoSwitcher.style.display === 'block') {
+            this.updateVideoSwitcherList();
+        }
+    }
 
-        this.socket.emit('toggle-video', { enabled: this.videoEnabled });
+    toggleVideo() {
+        return this.setCameraMediaEnabled('video', !this.videoEnabled);
     }
 
     toggleAudio() {
-        this.audioEnabled = !this.audioEnabled;
+        return this.setCameraMediaEnabled('audio', !this.audioEnabled);
+    }
+
+    // The server pauses the producer and with it every consumer; it refuses while a host mute is in place
+    async setCameraMediaEnabled(kind, enabled) {
+        const label = kind === 'audio' ? 'microphone' : 'camera';
+        if (enabled && this.hostMuted[kind]) {
+            this.showNotice(`Your ${label} was turned off by a host. Ask a host to allow it again.`);
+            return;
+        }
+
+        if (enabled && kind === 'video' && this.mediaMode === 'audio-only') {
+            this.showNotice('Your camera is off in audio-only mode. Switch the connection mode in ⚙️ Settings to turn it on.');
+            return;
+        }
+
+        const stateKey = kind === 'audio' ? 'audioEnabled' : 'videoEnabled';
+        const previous = this[stateKey];
+        this[stateKey] = enabled;
+        this.applyLocalMediaState();
+
+        try {
+            // Media that was off when joining is captured and produced the first time it is turned on
+            if (enabled && !this.localStream.getTracks().some(track => track.kind === kind)) {
+                this.localStream.addTrack(await this.acquireTrack(kind));
+                this.setupLocalVideo();
+            }
+            await this.request(`toggle-${kind}`, { enabled });
+            if (enabled) {
+                await this.produceCameraTrack(kind);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to turn ${label} ${enabled ? 'on' : 'off'}:`, error);
+            this[stateKey] = previous;
+            this.applyLocalMediaState();
+            this.showNotice(error.message);
+        }
+    }
 
+    // Sync local tracks, producers and buttons with videoEnabled/audioEnabled
+    applyLocalMediaState() {
         if (this.localStream) {
+            const videoTrack = this.localStream.getVideoTracks()[0];
+            if (videoTrack) videoTrack.enabled = this.videoEnabled;
+
             const audioTrack = this.localStream.getAudioTracks()[0];
             if (audioTrack) audioTrack.enabled = this.audioEnabled;
         }
 
-        const btn = document.getElementById('toggleAudioBtn');
-        btn.textContent = this.audioEnabled ? '🎤 Audio On' : '🚫 Audio Off';
-        btn.classList.toggle('active', this.audioEnabled);
+        // Paused producers stop sending RTP altogether (zeroRtpOnPause)
+        const videoProducer = this.producers.get('camera-video');
+        if (videoProducer) this.videoEnabled ? videoProducer.resume() : videoProducer.pause();
+
+        const audioProducer = this.producers.get('camera-audio');
+        if (audioProducer) this.audioEnabled ? audioProducer.resume() : audioProducer.pause();
 
-        this.socket.emit('toggle-audio', { enabled: this.audioEnabled });
+        const videoBtn = document.getElementById('toggleVideoBtn');
+        videoBtn.textContent = this.videoEnabled ? '📹 Video On' : '🚫 Video Off';
+        videoBtn.classList.toggle('active', this.videoEnabled);
+        videoBtn.title = this.hostMuted.video ? 'Turned off by a host' : (this.mediaMode === 'audio-only' ? 'Off in audio-only mode' : '');
+
+        const audioBtn = document.getElementById('toggleAudioBtn');
+        audioBtn.textContent = this.audioEnabled ? '🎤 Audio On' : '🚫 Audio Off';
+        audioBtn.classList.toggle('active', this.audioEnabled);
+        audioBtn.title = this.hostMuted.audio ? 'Turned off by a host' : '';
     }
 
     updateRoomStatus(data) {
-        let userCount, presentationCount;
+        let userCount, viewerCount, presentationCount;
 
         if (data) {
             userCount = data.userCount;
+            viewerCount = data.viewerCount;
             presentationCount = data.screenShareCount;
+            this.updateRoomAccess(data.locked, data.passwordProtected);
         } else {
-            userCount = this.userStates.size + (this.isStarted ? 1 : 0);
-            presentationCount = this.presentations.size;
+            const selfIsViewer = this.isStarted && this.role === 'viewer';
+            viewerCount = Array.from(this.userStates.values()).filter(user => user.role === 'viewer').length + (selfIsViewer ? 1 : 0);
+            userCount = this.userStates.size + (this.isStarted ? 1 : 0) - viewerCount;
+            presentationCount = new Set(Array.from(this.presentations.values()).map(presentation => presentation.presentationIndex)).size;
         }
 
-        const roomStatus = document.getElementById('roomStatus');
+        // Only the value spans are written - the recording indicators live in #roomStatus too
         const screenCount = document.getElementById('screenCount');
         const peerCount = document.getElementById('peerCount');
+        const viewerCountLabel = document.getElementById('viewerCount');
 
-        if (roomStatus) roomStatus.textContent = `Users: ${userCount}/${CONFIG.MAX_USERS} | Presentations: ${presentationCount}/${CONFIG.MAX_SCREEN_SHARES}`;
         if (screenCount) screenCount.textContent = presentationCount;
         if (peerCount) peerCount.textContent = userCount;
+        if (viewerCountLabel) viewerCountLabel.textContent = viewerCount;
 
-        console.log(`📊 Room status updated: ${userCount} users, ${presentationCount} presentations`);
+        console.log(`📊 Room status updated: ${userCount} users, ${viewerCount} viewers, ${presentationCount} presentations`);
     }
 
-    async fetchJSON(url, options = {}) {
-        try {
-            const res = await fetch(url, {
-                headers: { 'Content-Type': 'application/json' },
-                ...options
-            });
-
-            if (!res.ok) {
-                const errorText = await res.text();
-                throw new Error(`HTTP ${res.status}: ${errorText}`);
+    // Acknowledged Socket.IO request - resolves with the server response or rejects with its error
+    request(event, data = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error('Not connected to signaling server'));
+                return;
             }
 
-            return res.json();
-        } catch (error) {
-            console.error(`❌ Fetch error for ${url}:`, error);
-            throw error;
-        }
+            this.socket.timeout(10000).emit(event, data, (timeoutError, response) => {
+                if (timeoutError) {
+                    console.error(`❌ Request ${event} timed out`);
+                    reject(new Error(`Request ${event} timed out`));
+                    return;
+                }
+                if (response && response.error) {
+                    console.error(`❌ Request ${event} failed:`, response.error);
+                    reject(new Error(response.error));
+                    return;
+                }
+                resolve(response);
+            });
+        });
     }
 }
 
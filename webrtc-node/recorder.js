@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const config = require("./config");
+const { createRtpPipe, createSdp } = require("./rtp-pipe");
+
+// Per-room recording: every recorded producer is piped into its own ffmpeg process
+// writing a Matroska file, and manifest.json describes who and what was recorded
+function createRecording(room, startedBy) {
+  const startedAt = new Date();
+  const id = startedAt.toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(config.recordingsDir, room.id, id);
+
+  return {
+    id,
+    dir,
+    startedAt: startedAt.toISOString(),
+    startedBy,
+    stoppedAt: null,
+    tracks: new Map(), // producerId -> { pipe, process, entry }
+    participants: new Map(), // socketId -> manifest participant entry
+    trackEntries: [],
+
+    async start() {
+      fs.mkdirSync(this.dir, { recursive: true });
+      room.users.forEach((userState, socketId) => this.addParticipant(socketId));
+
+      const producerIds = Array.from(room.producers.keys());
+      await Promise.all(producerIds.map(producerId => this.addProducer(producerId)));
+      this.writeManifest();
+      console.log(`⏺️ Recording ${this.id} started in ${room.id}: ${this.tracks.size} tracks`);
+    },
+
+    async addProducer(producerId) {
+      const producerData = room.producers.get(producerId);
+      if (!producerData || this.stoppedAt || this.tracks.has(producerId)) return;
+      if (!config.recordingSources.includes(producerData.source)) return;
+
+      let pipe;
+      try {
+        pipe = await createRtpPipe(room.router, producerData.producer);
+      } catch (error) {
+        console.error(`Failed to pipe producer ${producerId} for recording:`, error);
+        return;
+      }
+
+      // Stopped or producer gone while the pipe was being set up
+      if (this.stoppedAt || !room.producers.has(producerId)) {
+        pipe.close();
+        return;
+      }
+
+      const userState = room.getUserBySocketId(producerData.socketId);
+      const fileName = `${producerData.source}-${producerData.kind}-${producerId}.mkv`;
+      const entry = {
+        producerId,
+        socketId: producerData.socketId,
+        name: userState ? userState.name : (producerData.peerName || 'Unknown'),
+        kind: producerData.kind,
+        source: producerData.source,
+        codec: pipe.consumer.rtpParameters.codecs[0].mimeType,
+        file: fileName,
+        startedAt: new Date().toISOString(),
+        stoppedAt: null,
+        error: null
+      };
+
+      const ffmpeg = spawn(config.ffmpegPath, [
+        '-loglevel', 'error',
+        '-protocol_whitelist', 'pipe,udp,rtp',
+        '-fflags', '+genpts',
+        '-f', 'sdp',
+        '-i', 'pipe:0',
+        '-map', '0',
+        '-c', 'copy',
+        '-y', path.join(this.dir, fileName)
+      ]);
+
+      this.tracks.set(producerId, { pipe, process: ffmpeg, entry });
+      this.trackEntries.push(entry);
+
+      ffmpeg.on('error', (error) => {
+        console.error(`ffmpeg failed for producer ${producerId}:`, error.message);
+        entry.error = error.message;
+        this.stopTrack(producerId);
+      });
+      ffmpeg.on('exit', (code) => {
+        if (this.tracks.has(producerId)) {
+          entry.error = `ffmpeg exited with code ${code}`;
+          this.stopTrack(producerId);
+        }
+      });
+      ffmpeg.stderr.on('data', (data) => {
+        console.warn(`ffmpeg [${producerId}]: ${data.toString().trim()}`);
+      });
+      ffmpeg.stdin.on('error', () => {});
+      ffmpeg.stdin.end(createSdp([pipe]));
+
+      pipe.consumer.on('producerclose', () => this.stopTrack(producerId));
+
+      // Give ffmpeg a moment to bind its ports before media starts flowing
+      setTimeout(() => {
+        if (!this.tracks.has(producerId)) return;
+        pipe.start().catch(error => {
+          console.error(`Failed to start recording pipe for ${producerId}:`, error);
+        });
+      }, config.recordingStartDelayMs);
+
+      this.writeManifest();
+      console.log(`🎞️ Recording ${producerData.source} ${producerData.kind} of ${entry.name} to ${fileName}`);
+    },
+
+    stopTrack(producerId) {
+      const track = this.tracks.get(producerId);
+      if (!track) return;
+      this.tracks.delete(producerId);
+
+      track.entry.stoppedAt = new Date().toISOString();
+      track.pipe.close();
+      // SIGINT lets ffmpeg write the file trailer
+      if (track.process.exitCode === null) {
+        track.process.kill('SIGINT');
+      }
+      this.writeManifest();
+    },
+
+    addParticipant(socketId) {
+      const userState = room.getUserBySocketId(socketId);
+      if (!userState || this.stoppedAt) return;
+
+      this.participants.set(socketId, {
+        socketId,
+        name: userState.name,
+        role: userState.role,
+        userIndex: userState.userIndex,
+        joinedAt: new Date().toISOString(),
+        leftAt: null
+      });
+      this.writeManifest();
+    },
+
+    removeParticipant(socketId) {
+      const participant = this.participants.get(socketId);
+      if (!participant || participant.leftAt || this.stoppedAt) return;
+
+      participant.leftAt = new Date().toISOString();
+      this.writeManifest();
+    },
+
+    // A resumed session continues under a new socket id (see room.rekeyUser)
+    rekeyParticipant(previousSocketId, socketId) {
+      const participant = this.participants.get(previousSocketId);
+      if (participant) {
+        this.participants.delete(previousSocketId);
+        participant.socketId = socketId;
+        this.participants.set(socketId, participant);
+      }
+      this.trackEntries.forEach(entry => {
+        if (entry.socketId === previousSocketId) {
+          entry.socketId = socketId;
+        }
+      });
+      if (!this.stoppedAt) {
+        this.writeManifest();
+      }
+    },
+
+    stop() {
+      if (this.stoppedAt) return;
+      this.stoppedAt = new Date().toISOString();
+
+      Array.from(this.tracks.keys()).forEach(producerId => this.stopTrack(producerId));
+      this.participants.forEach(participant => {
+        if (!participant.leftAt) participant.leftAt = this.stoppedAt;
+      });
+      this.writeManifest();
+      console.log(`⏹️ Recording ${this.id} stopped in ${room.id}, manifest: ${path.join(this.dir, 'manifest.json')}`);
+    },
+
+    getStatus() {
+      return {
+        recording: this.stoppedAt === null,
+        recordingId: this.id,
+        startedAt: this.startedAt,
+        startedBy: this.startedBy
+      };
+    },
+
+    writeManifest() {
+      const manifest = {
+        roomId: room.id,
+        recordingId: this.id,
+        startedAt: this.startedAt,
+        stoppedAt: this.stoppedAt,
+        startedBy: this.startedBy,
+        participants: Array.from(this.participants.values()),
+        tracks: this.trackEntries
+      };
+
+      try {
+        fs.writeFileSync(path.join(this.dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+      } catch (error) {
+        console.error(`Failed to write recording manifest for ${room.id}:`, error);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRecording
+};
@@ -0,0 +1,376 @@
+const config = require("./config");
+
+// Room ids are used in URLs and Socket.IO room names
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+// Centralized state management for a single conference room
+function createRoomState(roomId, router) {
+  return {
+    id: roomId,
+    channel: `room:${roomId}`, // Socket.IO room used for broadcasts
+    hostChannel: `room:${roomId}:hosts`, // Socket.IO room of the hosts (lobby updates)
+    router,
+
+    // User management
+    users: new Map(), // socketId -> { name, role, userIndex, videoEnabled, audioEnabled, mediaMode } - viewers have userIndex null
+    availableIndexes: Array.from({ length: config.maxUsers }, (_, i) => i), // Available user indexes
+
+    // Media management
+    transports: new Map(), // transportId -> { transport, socketId, direction } - at most one per direction per user
+    producers: new Map(), // producerId -> { producer, socketId, kind, source, presentationIndex }
+    screenProducers: new Map(), // producerId -> producer - audio and video of a WHIP ingest share one presentationIndex
+    consumers: new Map(), // consumerId -> { consumer, socketId, producerId, transportId, resumed, tileHeight }
+
+    // WHIP encoders publishing a presentation, keyed like users by their owner id (see whip.js)
+    ingests: new Map(), // ingestId -> { transportId, name, ownerKey, connectTimer } - ownerKey as in getBanKey
+
+    // Separate indexes for users and presentations
+    availablePresentationIndexes: Array.from({ length: config.maxScreenShares }, (_, i) => i), // Available presentation indexes
+
+    // Waiting room
+    lobbyEnabled: config.lobbyEnabled,
+    waiting: new Map(), // socketId -> { socket, name, since, timer, onDisconnect }
+
+    // Speaker detection (see createSpeakerObservers in server.js)
+    activeSpeakerObserver: null,
+    audioLevelObserver: null,
+    activeSpeakerId: null, // socketId of the current dominant speaker
+
+    // Active server-side recording (see recorder.js)
+    recording: null,
+    composite: null, // mixed output (see compositor.js)
+
+    // Users whose connection dropped, kept until they resume or the grace period ends
+    reconnecting: new Map(), // socketId -> { timer, since }
+
+    // Room-wide chat messages, sent to late joiners in 'init'
+    chatHistory: [],
+
+    // Access control set by hosts
+    passwordHash: null, // salted hash, see auth.hashPassword
+    locked: false,
+
+    // Participants removed by a host and blocked from rejoining (see getBanKey)
+    bannedKeys: new Set(),
+
+    // Constants from config
+    MAX_USERS: config.maxUsers,
+    MAX_VIEWERS: config.maxViewers,
+    MAX_SCREEN_SHARES: config.maxScreenShares,
+
+    // Helper methods
+    getViewerCount() {
+      let count = 0;
+      this.users.forEach(userState => {
+        if (userState.role === 'viewer') count++;
+      });
+      return count;
+    },
+
+    // Users holding a scr slot
+    getParticipantCount() {
+      return this.users.size - this.getViewerCount();
+    },
+
+    isRoomFull() {
+      return this.getParticipantCount() >= this.MAX_USERS;
+    },
+
+    isViewerLimitReached() {
+      return this.getViewerCount() >= this.MAX_VIEWERS;
+    },
+
+    isEmpty() {
+      return this.users.size === 0 && this.waiting.size === 0 && this.ingests.size === 0;
+    },
+
+    hasHost() {
+      for (const userState of this.users.values()) {
+        if (userState.role === 'host') return true;
+      }
+      return false;
+    },
+
+    getWaitingUsers() {
+      return Array.from(this.waiting.entries()).map(([socketId, entry]) => ({
+        socketId: socketId,
+        name: entry.name,
+        since: entry.since
+      }));
+    },
+
+    // Presentations, not producers - a WHIP ingest sends audio and video in one slot
+    getScreenShareCount() {
+      return this.MAX_SCREEN_SHARES - this.availablePresentationIndexes.length;
+    },
+
+    getStatus() {
+      return {
+        roomId: this.id,
+        userCount: this.getParticipantCount(),
+        maxUsers: this.MAX_USERS,
+        viewerCount: this.getViewerCount(),
+        maxViewers: this.MAX_VIEWERS,
+        screenShareCount: this.getScreenShareCount(),
+        locked: this.locked,
+        passwordProtected: this.passwordHash !== null
+      };
+    },
+
+    getNextUserIndex() {
+      return this.availableIndexes.length > 0 ? this.availableIndexes.shift() : null;
+    },
+
+    releaseUserIndex(userIndex) {
+      if (userIndex !== null && userIndex >= 0 && userIndex < this.MAX_USERS) {
+        this.availableIndexes.push(userIndex);
+        this.availableIndexes.sort((a, b) => a - b);
+      }
+    },
+
+    // Presentation index management like user indexes
+    getNextPresentationIndex() {
+      return this.availablePresentationIndexes.length > 0 ? this.availablePresentationIndexes.shift() : null;
+    },
+
+    // The producers of a WHIP ingest share one index, so it may come back more than once
+    releasePresentationIndex(presentationIndex) {
+      if (presentationIndex !== null && presentationIndex >= 0 && presentationIndex < this.MAX_SCREEN_SHARES &&
+          !this.availablePresentationIndexes.includes(presentationIndex)) {
+        this.availablePresentationIndexes.push(presentationIndex);
+        this.availablePresentationIndexes.sort((a, b) => a - b);
+      }
+    },
+
+    addChatMessage(message) {
+      this.chatHistory.push(message);
+      if (this.chatHistory.length > config.chatHistoryLimit) {
+        this.chatHistory.shift();
+      }
+    },
+
+    getUserBySocketId(socketId) {
+      return this.users.get(socketId);
+    },
+
+    findUserByResumeToken(resumeToken) {
+      for (const [socketId, userState] of this.users) {
+        if (userState.resumeToken && userState.resumeToken === resumeToken) {
+          return socketId;
+        }
+      }
+      return null;
+    },
+
+    // Move a user and everything they own to the socket that resumed their session
+    rekeyUser(previousSocketId, socketId) {
+      const userState = this.users.get(previousSocketId);
+      this.users.delete(previousSocketId);
+      userState.id = socketId;
+      this.users.set(socketId, userState);
+
+      [this.producers, this.transports, this.consumers].forEach(map => {
+        map.forEach(data => {
+          if (data.socketId === previousSocketId) {
+            data.socketId = socketId;
+          }
+        });
+      });
+
+      if (this.activeSpeakerId === previousSocketId) {
+        this.activeSpeakerId = socketId;
+      }
+      // The composite reads producers from the room, only the recording keeps socket ids
+      if (this.recording) {
+        this.recording.rekeyParticipant(previousSocketId, socketId);
+      }
+      return userState;
+    },
+
+    getUserTransport(socketId, direction) {
+      for (const transportData of this.transports.values()) {
+        if (transportData.socketId === socketId && transportData.direction === direction) {
+          return transportData;
+        }
+      }
+      return null;
+    },
+
+    getProducersForUser(socketId) {
+      const userProducers = [];
+      this.producers.forEach((producerData, producerId) => {
+        if (producerData.socketId === socketId) {
+          userProducers.push({
+            id: producerId,
+            ...producerData
+          });
+        }
+      });
+      return userProducers;
+    },
+
+    getCameraProducers(socketId, kind) {
+      const cameraProducers = [];
+      this.producers.forEach(producerData => {
+        if (producerData.socketId === socketId && producerData.source === 'camera' && producerData.kind === kind) {
+          cameraProducers.push(producerData.producer);
+        }
+      });
+      return cameraProducers;
+    },
+
+    getAllProducers() {
+      const producersList = [];
+      this.producers.forEach((producerData, producerId) => {
+        const userState = this.users.get(producerData.socketId);
+        const peerName = userState ? userState.name : (producerData.peerName || 'Unknown');
+
+        producersList.push({
+          id: producerId,
+          socketId: producerData.socketId,
+          kind: producerData.kind,
+          source: producerData.source,
+          peerName: peerName,
+          isScreen: producerData.source === 'screen',
+          userIndex: userState ? userState.userIndex : 0,
+          presentationIndex: producerData.presentationIndex
+        });
+      });
+      return producersList;
+    },
+
+    getAllUsers(excludeSocketId = null) {
+      const usersList = [];
+      this.users.forEach((userState, socketId) => {
+        if (socketId !== excludeSocketId) {
+          usersList.push({
+            socketId: socketId,
+            name: userState.name,
+            role: userState.role,
+            userIndex: userState.userIndex,
+            videoEnabled: userState.videoEnabled,
+            audioEnabled: userState.audioEnabled,
+            mediaMode: userState.mediaMode
+          });
+        }
+      });
+      return usersList;
+    },
+
+    // Remove user screen shares
+    removeUserScreenShares(socketId) {
+      const removedProducers = [];
+      this.producers.forEach((producerData, producerId) => {
+        if (producerData.socketId === socketId && producerData.source === 'screen') {
+          // Release the presentation index
+          if (producerData.presentationIndex !== null) {
+            this.releasePresentationIndex(producerData.presentationIndex);
+          }
+
+          if (producerData.producer) {
+            producerData.producer.close();
+          }
+          this.producers.delete(producerId);
+          this.screenProducers.delete(producerId);
+          removedProducers.push(producerId);
+        }
+      });
+      return removedProducers;
+    },
+
+    // Cleanup methods - returns ids of screen producers that were removed
+    cleanupUser(socketId) {
+      const userState = this.users.get(socketId);
+
+      // Remove user
+      this.users.delete(socketId);
+
+      // Release user index
+      if (userState) {
+        this.releaseUserIndex(userState.userIndex);
+      }
+
+      // Remove producers and release presentation indexes
+      const removedPresentations = [];
+      this.producers.forEach((producerData, producerId) => {
+        if (producerData.socketId === socketId) {
+          if (producerData.source === 'screen') {
+            // Release presentation index for screen shares
+            if (producerData.presentationIndex !== null) {
+              this.releasePresentationIndex(producerData.presentationIndex);
+            }
+            this.screenProducers.delete(producerId);
+            removedPresentations.push(producerId);
+          }
+          if (producerData.producer) {
+            producerData.producer.close();
+          }
+          this.producers.delete(producerId);
+        }
+      });
+
+      // Remove transports
+      this.transports.forEach((transportData, transportId) => {
+        if (transportData.socketId === socketId) {
+          if (transportData.transport) {
+            transportData.transport.close();
+          }
+          this.transports.delete(transportId);
+        }
+      });
+
+      return removedPresentations;
+    },
+
+    // Release all media resources of the room
+    close() {
+      if (this.recording) {
+        this.recording.stop();
+        this.recording = null;
+      }
+      if (this.composite) {
+        this.composite.stop();
+        this.composite = null;
+      }
+      this.waiting.forEach(entry => clearTimeout(entry.timer));
+      this.waiting.clear();
+      this.reconnecting.forEach(entry => clearTimeout(entry.timer));
+      this.reconnecting.clear();
+      this.ingests.forEach(ingest => clearTimeout(ingest.connectTimer));
+      this.ingests.clear();
+      this.transports.forEach(transportData => transportData.transport.close());
+      this.transports.clear();
+      this.consumers.clear();
+      this.producers.clear();
+      this.screenProducers.clear();
+      this.users.clear();
+      this.router.close();
+    },
+
+    // Debug method
+    printState() {
+      console.log(`\n=== ROOM STATE: ${this.id} ===`);
+      console.log(`Users: ${this.getParticipantCount()}/${this.MAX_USERS}`);
+      console.log(`Viewers: ${this.getViewerCount()}/${this.MAX_VIEWERS}`);
+      console.log(`Reconnecting: ${this.reconnecting.size}`);
+      console.log(`Waiting in lobby: ${this.waiting.size}${this.lobbyEnabled ? '' : ' (lobby off)'}`);
+      console.log(`Available user indexes: [${this.availableIndexes.join(', ')}]`);
+      console.log(`Screen shares: ${this.getScreenShareCount()}/${this.MAX_SCREEN_SHARES}`);
+      console.log(`Available presentation indexes: [${this.availablePresentationIndexes.join(', ')}]`);
+      console.log(`WHIP ingests: ${this.ingests.size}`);
+      console.log(`Transports: ${this.transports.size}`);
+      console.log(`Producers: ${this.producers.size}`);
+      console.log(`Consumers: ${this.consumers.size}`);
+      console.log('==================\n');
+    }
+  };
+}
+
+module.exports = {
+  createRoomState,
+  isValidRoomId
+};
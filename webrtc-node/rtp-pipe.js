@@ -0,0 +1,99 @@
+const config = require("./config");
+
+// Local UDP ports handed to ffmpeg, RTP on even ports and RTCP on the next one
+const usedPorts = new Set();
+
+function allocatePortPair() {
+  for (let port = config.rtpPipeMinPort; port + 1 <= config.rtpPipeMaxPort; port += 2) {
+    if (!usedPorts.has(port)) {
+      usedPorts.add(port);
+      return port;
+    }
+  }
+  throw new Error("No free RTP pipe ports");
+}
+
+function releasePortPair(port) {
+  usedPorts.delete(port);
+}
+
+// Consume a producer over a PlainTransport that sends RTP to 127.0.0.1:<port>.
+// The consumer starts paused - call pipe.start() once the receiving process listens.
+async function createRtpPipe(router, producer) {
+  const port = allocatePortPair();
+  let transport;
+
+  try {
+    transport = await router.createPlainTransport({
+      listenIp: { ip: '127.0.0.1' },
+      rtcpMux: false,
+      comedia: false
+    });
+    await transport.connect({ ip: '127.0.0.1', port, rtcpPort: port + 1 });
+
+    const consumer = await transport.consume({
+      producerId: producer.id,
+      rtpCapabilities: router.rtpCapabilities,
+      paused: true
+    });
+
+    return {
+      port,
+      transport,
+      consumer,
+
+      async start() {
+        await consumer.resume();
+        if (consumer.kind === 'video') {
+          await consumer.requestKeyFrame();
+        }
+      },
+
+      close() {
+        transport.close();
+        releasePortPair(port);
+      }
+    };
+  } catch (error) {
+    if (transport) transport.close();
+    releasePortPair(port);
+    throw error;
+  }
+}
+
+// SDP describing the RTP each pipe sends, for ffmpeg's "-f sdp" input
+function createSdp(pipes) {
+  const lines = [
+    'v=0',
+    'o=- 0 0 IN IP4 127.0.0.1',
+    's=mediasoup',
+    'c=IN IP4 127.0.0.1',
+    't=0 0'
+  ];
+
+  pipes.forEach(pipe => {
+    const { kind, rtpParameters } = pipe.consumer;
+    const codec = rtpParameters.codecs[0];
+    const codecName = codec.mimeType.split('/')[1];
+    const channels = codec.channels > 1 ? `/${codec.channels}` : '';
+
+    lines.push(`m=${kind} ${pipe.port} RTP/AVP ${codec.payloadType}`);
+    lines.push(`a=rtcp:${pipe.port + 1}`);
+    lines.push(`a=rtpmap:${codec.payloadType} ${codecName}/${codec.clockRate}${channels}`);
+
+    const fmtp = Object.entries(codec.parameters || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(';');
+    if (fmtp) {
+      lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+    }
+    lines.push('a=recvonly');
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  createRtpPipe,
+  createSdp
+};
@@ -1,14 +1,32 @@
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
 const { Server } = require("socket.io");
-const mediasoup = require("mediasoup");
 const cors = require("cors");
 const config = require("./config");
+const { createRoomState, isValidRoomId } = require("./room-state");
+const WorkerPool = require("./worker-pool");
+const Metrics = require("./metrics");
+const { sanitizeChatText, createChatMessage } = require("./chat");
+const { createRecording } = require("./recorder");
+const { createComposite } = require("./compositor");
+const { getPermissions, can, verifyJoinToken, hashPassword, verifyPassword, PasswordThrottle } = require("./auth");
+const { parseOffer, isIngestible, getRtpParameterCandidates, getRemoteDtlsParameters, createAnswer } = require("./whip");
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// REST latency for /metrics, labelled by route pattern rather than the raw URL
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    Metrics.observeRequest('http', req.route ? req.route.path : 'static', String(res.statusCode), seconds);
+  });
+  next();
+});
+
 // Remove CSP headers that might be set elsewhere
 app.use((req, res, next) => {
   res.removeHeader('Content-Security-Policy');
@@ -29,210 +47,558 @@ const io = new Server(server, {
   }
 });
 
-let worker;
-let router;
-
-// Centralized state management
-const RoomState = {
-  // User management
-  users: new Map(), // socketId -> { name, userIndex, videoEnabled, audioEnabled }
-  availableIndexes: Array.from({ length: config.maxUsers }, (_, i) => i), // Available user indexes
-
-  // Media management
-  transports: new Map(), // transportId -> { transport, socketId, direction }
-  producers: new Map(), // producerId -> { producer, socketId, kind, source, presentationIndex }
-  screenProducers: new Map(), // producerId -> producer (for quick screen count)
-
-  // Counters - FIXED: Separate indexes for users and presentations
-  userCounter: 0,
-  presentationCounter: 0,
-  availablePresentationIndexes: Array.from({ length: config.maxScreenShares }, (_, i) => i), // Available presentation indexes
-
-  // Constants from config
-  MAX_USERS: config.maxUsers,
-  MAX_SCREEN_SHARES: config.maxScreenShares,
-
-  // Helper methods
-  isRoomFull() {
-    return this.users.size >= this.MAX_USERS;
-  },
-
-  getScreenShareCount() {
-    return this.screenProducers.size;
-  },
-
-  getNextUserIndex() {
-    return this.availableIndexes.length > 0 ? this.availableIndexes.shift() : null;
-  },
-
-  releaseUserIndex(userIndex) {
-    if (userIndex !== null && userIndex >= 0 && userIndex < this.MAX_USERS) {
-      this.availableIndexes.push(userIndex);
-      this.availableIndexes.sort((a, b) => a - b);
-    }
-  },
-
-  // FIXED: Presentation index management like user indexes
-  getNextPresentationIndex() {
-    return this.availablePresentationIndexes.length > 0 ? this.availablePresentationIndexes.shift() : null;
-  },
-
-  releasePresentationIndex(presentationIndex) {
-    if (presentationIndex !== null && presentationIndex >= 0 && presentationIndex < this.MAX_SCREEN_SHARES) {
-      this.availablePresentationIndexes.push(presentationIndex);
-      this.availablePresentationIndexes.sort((a, b) => a - b);
-    }
-  },
-
-  getUserBySocketId(socketId) {
-    return this.users.get(socketId);
-  },
-
-  getProducersForUser(socketId) {
-    const userProducers = [];
-    this.producers.forEach((producerData, producerId) => {
-      if (producerData.socketId === socketId) {
-        userProducers.push({
-          id: producerId,
-          ...producerData
-        });
-      }
+// Active rooms
+const rooms = new Map(); // roomId -> RoomState
+const pendingRooms = new Map(); // roomId -> Promise<RoomState> (router still being created)
+
+// Returns the room for the id, creating it with its own router on first use
+async function getOrCreateRoom(roomId) {
+  if (rooms.has(roomId)) {
+    return rooms.get(roomId);
+  }
+  if (pendingRooms.has(roomId)) {
+    return pendingRooms.get(roomId);
+  }
+
+  const roomPromise = (async () => {
+    const router = await WorkerPool.createRouter({
+      mediaCodecs: config.mediaCodecs
     });
-    return userProducers;
-  },
-
-  getAllProducers() {
-    const producersList = [];
-    this.producers.forEach((producerData, producerId) => {
-      const userState = this.users.get(producerData.socketId);
-      const peerName = userState ? userState.name : 'Unknown';
-
-      producersList.push({
-        id: producerId,
-        socketId: producerData.socketId,
-        kind: producerData.kind,
-        source: producerData.source,
-        peerName: peerName,
-        isScreen: producerData.source === 'screen',
-        userIndex: userState ? userState.userIndex : 0,
-        presentationIndex: producerData.presentationIndex
-      });
+    const room = createRoomState(roomId, router);
+    await createSpeakerObservers(room);
+    rooms.set(roomId, room);
+    console.log(`🏠 Created room ${roomId}`);
+    return room;
+  })();
+
+  pendingRooms.set(roomId, roomPromise);
+  try {
+    return await roomPromise;
+  } finally {
+    pendingRooms.delete(roomId);
+  }
+}
+
+// Report who is talking - observers are closed together with the router
+async function createSpeakerObservers(room) {
+  room.activeSpeakerObserver = await room.router.createActiveSpeakerObserver({
+    interval: config.activeSpeakerIntervalMs
+  });
+  room.audioLevelObserver = await room.router.createAudioLevelObserver({
+    maxEntries: config.maxUsers,
+    threshold: config.audioLevelThreshold,
+    interval: config.audioLevelIntervalMs
+  });
+
+  room.activeSpeakerObserver.on('dominantspeaker', ({ producer }) => {
+    const producerData = room.producers.get(producer.id);
+    if (!producerData) return;
+
+    room.activeSpeakerId = producerData.socketId;
+    io.to(room.channel).emit('active-speaker', {
+      socketId: producerData.socketId,
+      producerId: producer.id
     });
-    return producersList;
-  },
-
-  getAllUsers(excludeSocketId = null) {
-    const usersList = [];
-    this.users.forEach((userState, socketId) => {
-      if (socketId !== excludeSocketId) {
-        usersList.push({
-          socketId: socketId,
-          name: userState.name,
-          userIndex: userState.userIndex,
-          videoEnabled: userState.videoEnabled,
-          audioEnabled: userState.audioEnabled
-        });
+  });
+
+  room.audioLevelObserver.on('volumes', (volumes) => {
+    const levels = [];
+    volumes.forEach(({ producer, volume }) => {
+      const producerData = room.producers.get(producer.id);
+      if (producerData) {
+        levels.push({ socketId: producerData.socketId, volume });
       }
     });
-    return usersList;
-  },
-
-  // New method to remove user screen shares
-  removeUserScreenShares(socketId) {
-    const removedProducers = [];
-    this.producers.forEach((producerData, producerId) => {
-      if (producerData.socketId === socketId && producerData.source === 'screen') {
-        // Release the presentation index
-        if (producerData.presentationIndex !== null) {
-          this.releasePresentationIndex(producerData.presentationIndex);
-        }
-        
-        if (producerData.producer) {
-          producerData.producer.close();
-        }
-        this.producers.delete(producerId);
-        this.screenProducers.delete(producerId);
-        removedProducers.push(producerId);
-      }
+    io.to(room.channel).emit('audio-levels', { levels });
+  });
+
+  room.audioLevelObserver.on('silence', () => {
+    io.to(room.channel).emit('audio-levels', { levels: [] });
+  });
+}
+
+// Camera microphones take part in speaker detection
+async function observeSpeaker(room, producer) {
+  try {
+    await room.activeSpeakerObserver.addProducer({ producerId: producer.id });
+    await room.audioLevelObserver.addProducer({ producerId: producer.id });
+  } catch (error) {
+    console.error(`Failed to observe audio producer ${producer.id}:`, error);
+  }
+}
+
+// Simulcast producers have one encoding per layer, SVC ones a single encoding like "L3T3_KEY"
+function getSpatialLayerCount(rtpParameters) {
+  const encodings = rtpParameters.encodings || [];
+  if (encodings.length > 1) {
+    return encodings.length;
+  }
+
+  const match = /^[LS](\d+)T\d+/.exec((encodings[0] && encodings[0].scalabilityMode) || '');
+  return match ? parseInt(match[1]) : 1;
+}
+
+// Simulcast layer for a viewer tile: hidden tiles get the lowest layer at the lowest frame rate
+function getPreferredLayers(tileHeight, spatialLayerCount) {
+  if (!(tileHeight > 0)) {
+    return { spatialLayer: 0, temporalLayer: 0 };
+  }
+
+  let spatialLayer = 0;
+  if (tileHeight >= config.simulcastHighLayerHeight) {
+    spatialLayer = 2;
+  } else if (tileHeight >= config.simulcastMidLayerHeight) {
+    spatialLayer = 1;
+  }
+
+  return {
+    spatialLayer: Math.min(spatialLayer, spatialLayerCount - 1),
+    temporalLayer: 2
+  };
+}
+
+// Ways to take part: everything, cheaper incoming video, or no camera video at all
+const MEDIA_MODES = ['full', 'data-saver', 'audio-only'];
+
+// Layers for a consumer: sized to its tile, and in data saver mode capped to the lowest
+// spatial layer for cameras and the lowest frame rate for screen shares
+function getConsumerLayers(consumerData, producerData, mediaMode) {
+  const spatialLayerCount = getSpatialLayerCount(producerData.producer.rtpParameters);
+  const layers = consumerData.tileHeight === undefined
+    ? { spatialLayer: spatialLayerCount - 1, temporalLayer: 2 }
+    : getPreferredLayers(consumerData.tileHeight, spatialLayerCount);
+
+  if (mediaMode === 'data-saver') {
+    if (producerData.source === 'screen') {
+      layers.temporalLayer = 0;
+    } else {
+      layers.spatialLayer = 0;
+    }
+  }
+  return layers;
+}
+
+// Bring a consumer in line with its owner: paused until the client resumes it and while the
+// owner is audio-only, layers per getConsumerLayers. Returns the layers, null without simulcast/SVC.
+async function applyConsumerState(room, consumerData) {
+  const { consumer } = consumerData;
+  const userState = room.getUserBySocketId(consumerData.socketId);
+  const producerData = room.producers.get(consumerData.producerId);
+  if (!userState || !producerData || consumer.closed) return null;
+
+  let layers = null;
+  if (consumer.type === 'simulcast' || consumer.type === 'svc') {
+    layers = getConsumerLayers(consumerData, producerData, userState.mediaMode);
+    await consumer.setPreferredLayers(layers);
+  }
+
+  const paused = !consumerData.resumed || (consumer.kind === 'video' && userState.mediaMode === 'audio-only');
+  if (paused && !consumer.paused) {
+    await consumer.pause();
+  } else if (!paused && consumer.paused) {
+    await consumer.resume();
+    if (consumer.kind === 'video') {
+      await consumer.requestKeyFrame();
+    }
+  }
+  return layers;
+}
+
+// Tear down a room once nobody is left in it
+function closeRoomIfEmpty(room) {
+  if (!room.isEmpty() || rooms.get(room.id) !== room) return;
+
+  room.close();
+  rooms.delete(room.id);
+  console.log(`🏚️ Closed empty room ${room.id}`);
+}
+
+function broadcastRoomStatus(room) {
+  io.to(room.channel).emit('room-status', room.getStatus());
+}
+
+function getRecordingStatus(room) {
+  return room.recording ? room.recording.getStatus() : { recording: false };
+}
+
+function broadcastRecordingStatus(room) {
+  io.to(room.channel).emit('recording-status', getRecordingStatus(room));
+}
+
+function getCompositeStatus(room) {
+  return room.composite ? room.composite.getStatus() : { active: false };
+}
+
+function broadcastCompositeStatus(room) {
+  io.to(room.channel).emit('composite-status', getCompositeStatus(room));
+}
+
+// Hand a new producer to the recording and the composite output of the room
+function addProducerToOutputs(room, producerId) {
+  if (room.recording) {
+    room.recording.addProducer(producerId);
+  }
+  if (room.composite) {
+    room.composite.scheduleRestart();
+  }
+}
+
+// Mute state lives on the server: pausing a producer pauses all of its consumers,
+// so nothing is forwarded while a camera or microphone is off
+async function setCameraMediaEnabled(room, socketId, kind, enabled) {
+  const userState = room.getUserBySocketId(socketId);
+  const producers = room.getCameraProducers(socketId, kind);
+  await Promise.all(producers.map(producer => enabled ? producer.resume() : producer.pause()));
+  if (room.composite && producers.length > 0) {
+    room.composite.scheduleRestart();
+  }
+
+  userState[kind === 'audio' ? 'audioEnabled' : 'videoEnabled'] = enabled;
+  io.to(room.channel).except(socketId).emit(`user-${kind}-toggled`, {
+    socketId: socketId,
+    enabled: enabled
+  });
+}
+
+// Network quality: mediasoup scores (0-10) go to the client they describe -
+// producer scores to the sender, consumer scores (with the producer score) to the receiver
+function watchProducerScore(room, producer) {
+  producer.on('score', (scores) => {
+    const producerData = room.producers.get(producer.id);
+    if (!producerData) return;
+
+    // Simulcast producers score every layer; the best one is what viewers can get
+    io.to(producerData.socketId).emit("producer-score", {
+      producerId: producer.id,
+      score: scores.length > 0 ? Math.max(...scores.map(entry => entry.score)) : 0
     });
-    return removedProducers;
-  },
+  });
+}
 
-  // Cleanup methods
-  cleanupUser(socketId) {
-    const userState = this.users.get(socketId);
+function emitConsumerScore(room, consumer) {
+  const consumerData = room.consumers.get(consumer.id);
+  if (!consumerData) return;
 
-    // Remove user
-    this.users.delete(socketId);
+  io.to(consumerData.socketId).emit("consumer-score", {
+    consumerId: consumer.id,
+    producerId: consumer.producerId,
+    score: consumer.score.score,
+    producerScore: consumer.score.producerScore
+  });
+}
 
-    // Release user index
-    if (userState) {
-      this.releaseUserIndex(userState.userIndex);
-    }
-
-    // Remove producers and release presentation indexes
-    this.producers.forEach((producerData, producerId) => {
-      if (producerData.socketId === socketId) {
-        if (producerData.source === 'screen') {
-          // Release presentation index for screen shares
-          if (producerData.presentationIndex !== null) {
-            this.releasePresentationIndex(producerData.presentationIndex);
-          }
-          this.screenProducers.delete(producerId);
-        }
-        if (producerData.producer) {
-          producerData.producer.close();
-        }
-        this.producers.delete(producerId);
-      }
+// Audio-only users publish no camera video - close it so viewers drop their consumers
+function closeCameraVideo(room, socketId) {
+  const userState = room.getUserBySocketId(socketId);
+  room.producers.forEach((producerData, producerId) => {
+    if (producerData.socketId !== socketId || producerData.source !== 'camera' || producerData.kind !== 'video') return;
+
+    producerData.producer.close();
+    room.producers.delete(producerId);
+    io.to(room.channel).except(socketId).emit("producer-closed", { producerId, socketId });
+  });
+
+  if (userState.videoEnabled) {
+    userState.videoEnabled = false;
+    io.to(room.channel).except(socketId).emit("user-video-toggled", { socketId, enabled: false });
+  }
+}
+
+// Close all producers and transports of a user but keep the slot; the camera and
+// mic state comes from the handshake again, unless a host turned them off
+function resetUserMedia(room, socket) {
+  const userState = room.getUserBySocketId(socket.id);
+  endUserPresentations(room, socket.id);
+
+  room.producers.forEach((producerData, producerId) => {
+    if (producerData.socketId !== socket.id) return;
+
+    producerData.producer.close();
+    room.producers.delete(producerId);
+    io.to(room.channel).except(socket.id).emit("producer-closed", { producerId, socketId: socket.id });
+  });
+  room.transports.forEach((transportData, transportId) => {
+    if (transportData.socketId !== socket.id) return;
+
+    transportData.transport.close();
+    room.transports.delete(transportId);
+  });
+
+  userState.videoEnabled = can(userState.role, 'produceVideo') && !userState.hostMuted.video && socket.handshake.auth.videoEnabled !== false;
+  userState.audioEnabled = can(userState.role, 'produceAudio') && !userState.hostMuted.audio && socket.handshake.auth.audioEnabled !== false;
+  userState.mediaMode = 'full';
+}
+
+// Close all screen shares of a user and tell the room they ended
+function endUserPresentations(room, socketId) {
+  const removedProducers = room.removeUserScreenShares(socketId);
+
+  removedProducers.forEach(producerId => {
+    io.to(room.channel).emit("presentation-ended", {
+      producerId: producerId,
+      socketId: socketId
     });
+  });
+
+  // Update room status IMMEDIATELY after removal
+  broadcastRoomStatus(room);
+  return removedProducers;
+}
+
+// Give a screen producer its prN slot and announce it to the whole room, returns the slot.
+// The audio and video of one WHIP ingest pass the slot the first of them got.
+function registerPresentation(room, producerData, peerName, sharedIndex = null) {
+  const { producer, socketId, kind } = producerData;
+
+  // Get presentation index from available pool
+  const presentationIndex = sharedIndex !== null ? sharedIndex : room.getNextPresentationIndex();
+  if (presentationIndex === null) {
+    producer.close();
+    Metrics.recordJoinFailure('screen_share_limit');
+    throw new Error(`Maximum ${config.maxScreenShares} screen shares allowed`);
+  }
+
+  producerData.presentationIndex = presentationIndex;
+  room.screenProducers.set(producer.id, producer);
+  room.producers.set(producer.id, producerData);
+  addProducerToOutputs(room, producer.id);
+
+  console.log(`🖥️ New screen share from ${socketId} in ${room.id}: ${producer.id} (pr${presentationIndex})`);
+
+  // Broadcast to ALL users in the room INCLUDING the sender
+  io.to(room.channel).emit("new-presentation", {
+    id: producer.id,
+    socketId: socketId,
+    kind: kind,
+    peerName: peerName,
+    presentationIndex: presentationIndex
+  });
+
+  console.log(`📢 Broadcasted new-presentation to ALL users including sender`);
+
+  // Update room status when screen share starts
+  broadcastRoomStatus(room);
+  console.log(`📊 Updated room status: ${room.getScreenShareCount()} screen shares`);
+  return presentationIndex;
+}
+
+function getWebRtcTransportOptions() {
+  return {
+    listenIps: [
+      {
+        ip: config.listenIp,
+        announcedIp: config.announcedIp
+      }
+    ],
+    enableUdp: true,
+    enableTcp: true,
+    preferUdp: true,
+    initialAvailableOutgoingBitrate: config.initialOutgoingBitrate,
+  };
+}
+
+// WHIP ingest - an encoder publishing a presentation over plain HTTP signaling (see whip.js).
+// It owns its transport and producers like a user, under the id "whip:<uuid>".
+
+function createWhipError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Set up the transport and one screen producer per offered audio/video section, all in one
+// presentation slot; returns the SDP answer
+async function startIngest(room, ingestId, offer, name, ownerKey) {
+  const sections = offer.media
+    .map((section, index) => ({ section, index }))
+    .filter(({ section }) => isIngestible(section));
+  if (sections.length === 0) {
+    throw createWhipError(400, "Offer has no audio or video to send");
+  }
+
+  if (room.availablePresentationIndexes.length === 0) {
+    Metrics.recordJoinFailure('screen_share_limit');
+    throw createWhipError(409, `Maximum ${config.maxScreenShares} screen shares allowed`);
+  }
+
+  sections.forEach(entry => {
+    try {
+      entry.candidates = getRtpParameterCandidates(entry.section, room.router.rtpCapabilities);
+    } catch (error) {
+      throw createWhipError(400, error.message);
+    }
+  });
+
+  let transport;
+  try {
+    transport = await room.router.createWebRtcTransport(getWebRtcTransportOptions());
+  } catch (error) {
+    Metrics.recordJoinFailure('transport_error');
+    throw error;
+  }
+
+  room.transports.set(transport.id, {
+    transport,
+    socketId: ingestId,
+    direction: 'send'
+  });
+  const ingest = { transportId: transport.id, name, ownerKey, connectTimer: null };
+  room.ingests.set(ingestId, ingest);
+
+  ingest.connectTimer = setTimeout(() => {
+    endIngest(room, ingestId, 'no connection');
+  }, config.whipConnectTimeoutMs);
+
+  transport.on('dtlsstatechange', (state) => {
+    if (state === 'connected') {
+      clearTimeout(ingest.connectTimer);
+      console.log(`📡 WHIP ingest ${ingestId} connected in ${room.id}`);
+    } else if (state === 'failed' || state === 'closed') {
+      endIngest(room, ingestId, `DTLS ${state}`);
+    }
+  });
+  // Consent checks can miss for a moment on a flaky uplink, so a disconnect gets the same time to recover
+  transport.on('icestatechange', (state) => {
+    if (state === 'disconnected') {
+      clearTimeout(ingest.connectTimer);
+      ingest.connectTimer = setTimeout(() => {
+        endIngest(room, ingestId, 'ICE disconnected');
+      }, config.whipConnectTimeoutMs);
+    } else if ((state === 'connected' || state === 'completed') && transport.dtlsState === 'connected') {
+      clearTimeout(ingest.connectTimer);
+    } else if (state === 'closed') {
+      endIngest(room, ingestId, 'ICE closed');
+    }
+  });
 
-    // Remove transports
-    this.transports.forEach((transportData, transportId) => {
-      if (transportData.socketId === socketId) {
-        if (transportData.transport) {
-          transportData.transport.close();
+  try {
+    await transport.connect({ dtlsParameters: getRemoteDtlsParameters(offer) });
+
+    // mediasoup decides which codec works (e.g. H264 profiles), so try them in the encoder's order
+    const accepted = new Map(); // section index -> rtpParameters
+    let presentationIndex = null;
+    for (const { section, index, candidates } of sections) {
+      let producer = null;
+      for (const rtpParameters of candidates) {
+        try {
+          producer = await transport.produce({ kind: section.kind, rtpParameters });
+          accepted.set(index, rtpParameters);
+          break;
+        } catch (error) {
+          console.log(`📡 WHIP ingest ${ingestId}: ${rtpParameters.codecs[0].mimeType} rejected (${error.message})`);
         }
-        this.transports.delete(transportId);
       }
-    });
-  },
-
-  // Debug method
-  printState() {
-    console.log('\n=== ROOM STATE ===');
-    console.log(`Users: ${this.users.size}/${this.MAX_USERS}`);
-    console.log(`Available user indexes: [${this.availableIndexes.join(', ')}]`);
-    console.log(`Screen shares: ${this.screenProducers.size}/${this.MAX_SCREEN_SHARES}`);
-    console.log(`Available presentation indexes: [${this.availablePresentationIndexes.join(', ')}]`);
-    console.log(`Transports: ${this.transports.size}`);
-    console.log(`Producers: ${this.producers.size}`);
-    console.log('==================\n');
+      if (!producer) continue;
+
+      watchProducerScore(room, producer);
+      presentationIndex = registerPresentation(room, {
+        producer,
+        socketId: ingestId,
+        kind: section.kind,
+        source: 'screen',
+        peerName: name
+      }, name, presentationIndex);
+    }
+
+    if (accepted.size === 0) {
+      throw createWhipError(400, "None of the offered codecs is supported");
+    }
+    return createAnswer(offer, accepted, transport);
+  } catch (error) {
+    endIngest(room, ingestId, error.message);
+    throw error;
+  }
+}
+
+// End an ingest and its presentations, the room closes if nobody else is left
+function endIngest(room, ingestId, reason) {
+  const ingest = room.ingests.get(ingestId);
+  if (!ingest) return false;
+
+  clearTimeout(ingest.connectTimer);
+  room.ingests.delete(ingestId);
+  endUserPresentations(room, ingestId);
+
+  const transportData = room.transports.get(ingest.transportId);
+  if (transportData) {
+    transportData.transport.close();
+    room.transports.delete(ingest.transportId);
+  }
+
+  console.log(`📡 WHIP ingest ${ingestId} ended in ${room.id} (${reason})`);
+  closeRoomIfEmpty(room);
+  return true;
+}
+
+// Client address, taken from the reverse proxy headers when TRUST_PROXY is set.
+// Only the last X-Forwarded-For entry is added by our proxy, earlier ones come from the client.
+function getClientAddress(socket) {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (config.trustProxy && forwardedFor) {
+    return forwardedFor.split(',').pop().trim();
+  }
+  return socket.handshake.address;
+}
+
+// Key used to block a removed participant from rejoining: the token identity
+// for signed users, the client address otherwise
+function getBanKey(identity, address) {
+  if (identity.signed) {
+    return identity.subject ? `sub:${identity.subject}` : `name:${identity.name}`;
   }
+  return `addr:${address}`;
+}
+
+// Rooms whose router died with its worker are dropped and their users asked to rejoin
+WorkerPool.onWorkerDied = (deadRouters) => {
+  rooms.forEach(room => {
+    if (!deadRouters.has(room.router)) return;
+
+    console.log(`♻️ Room ${room.id} lost its media worker, asking users to rejoin`);
+    rooms.delete(room.id);
+
+    // Lobby sockets are not in the room channel - take them out before close() forgets them
+    const waitingSockets = Array.from(room.waiting.values()).map(entry => {
+      entry.socket.off('disconnect', entry.onDisconnect);
+      return entry.socket;
+    });
+
+    // Stops recording/composite ffmpeg and the lobby, reconnect and WHIP timers
+    try {
+      room.close();
+    } catch (error) {
+      console.error(`Failed to close room ${room.id} after its worker died:`, error);
+    }
+
+    waitingSockets.forEach(waitingSocket => {
+      waitingSocket.emit('rejoin-required', { reason: 'Media server restarted' });
+      waitingSocket.disconnect(true);
+    });
+    io.to(room.channel).emit('rejoin-required', {
+      reason: 'Media server restarted'
+    });
+    io.in(room.channel).disconnectSockets(true);
+  });
 };
 
 // Initialize mediasoup
 (async () => {
   try {
-    worker = await mediasoup.createWorker();
-    router = await worker.createRouter({
-      mediaCodecs: config.mediaCodecs
-    });
-    console.log("✅ Mediasoup worker and router ready");
+    await WorkerPool.init();
   } catch (error) {
     console.error("Failed to initialize mediasoup:", error);
   }
 })();
 
 // Serve HTML with injected configuration
-app.get(`${config.urlPrefix}/`, (req, res) => {
-  const html = `
+function renderRoomPage(roomId) {
+  return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>WebRTC Conference</title>
+    <title>WebRTC Conference - ${roomId}</title>
     <link rel="stylesheet" href="${config.urlPrefix}/style.css">
     <script>
         // Injected server configuration
@@ -240,8 +606,14 @@ app.get(`${config.urlPrefix}/`, (req, res) => {
             SOCKET_URL: "",
             URL_PREFIX: "${config.urlPrefix}",
             SOCKET_PATH: "${config.socketPath}",
+            ROOM_ID: "${roomId}",
+            REQUIRE_JOIN_TOKEN: ${config.requireJoinToken},
             MAX_USERS: ${config.maxUsers},
-            MAX_SCREEN_SHARES: ${config.maxScreenShares}
+            MAX_VIEWERS: ${config.maxViewers},
+            MAX_SCREEN_SHARES: ${config.maxScreenShares},
+            SIMULCAST: ${config.simulcastEnabled},
+            CAMERA_CODEC_PREFERENCE: ${JSON.stringify(config.cameraCodecPreference)},
+            SCREEN_CODEC_PREFERENCE: ${JSON.stringify(config.screenCodecPreference)}
         };
     </script>
 </head>
@@ -253,8 +625,26 @@ app.get(`${config.urlPrefix}/`, (req, res) => {
         </header>
 
         <div class="controls">
+            <div class="prejoin-section" id="prejoinSection">
+                <div class="prejoin-preview">
+                    <video id="previewVideo" autoplay muted playsinline></video>
+                    <div class="prejoin-preview-status" id="previewStatus"></div>
+                    <div class="mic-meter"><div class="mic-meter-level" id="micMeterLevel"></div></div>
+                </div>
+                <div class="prejoin-devices">
+                    <label>Camera <select id="cameraSelect"></select></label>
+                    <label>Microphone <select id="micSelect"></select></label>
+                    <label id="speakerSelectLabel">Speaker <select id="speakerSelect"></select></label>
+                    <div class="prejoin-toggles">
+                        <label><input type="checkbox" id="joinVideoToggle" checked> Camera on</label>
+                        <label><input type="checkbox" id="joinAudioToggle" checked> Microphone on</label>
+                        <label><input type="checkbox" id="joinAsViewerToggle"> Only watch (viewer)</label>
+                    </div>
+                </div>
+            </div>
             <div class="join-section">
                 <input type="text" id="username" placeholder="Enter your name" value="User">
+                <input type="password" id="roomPassword" placeholder="Room password (if required)" autocomplete="off">
                 <button id="startBtn">Join Conference</button>
             </div>
             <div class="media-controls" id="mediaControls">
@@ -267,11 +657,47 @@ app.get(`${config.urlPrefix}/`, (req, res) => {
                 <button class="control-btn audio-btn active" id="toggleAudioBtn">
                     🎤 Audio On
                 </button>
+                <button class="control-btn lobby-btn" id="lobbyBtn" style="display: none;">
+                    🚪 Lobby Off
+                </button>
+                <button class="control-btn viewers-btn" id="viewersBtn" style="display: none;">
+                    👀 Viewers (0)
+                </button>
+                <button class="control-btn speaker-view-btn" id="speakerViewBtn">
+                    🗣️ Speaker View
+                </button>
+                <button class="control-btn stats-btn" id="statsBtn">
+                    📊 Stats
+                </button>
+                <button class="control-btn devices-btn" id="devicesBtn">
+                    ⚙️ Settings
+                </button>
+                <button class="control-btn chat-btn" id="chatBtn">
+                    💬 Chat <span class="chat-badge" id="chatBadge" style="display: none;">0</span>
+                </button>
+                <button class="control-btn record-btn" id="recordBtn" style="display: none;">
+                    ⏺️ Start Recording
+                </button>
+                <button class="control-btn composite-btn" id="compositeBtn" style="display: none;">
+                    📺 Start Live Mix
+                </button>
+                <button class="control-btn lock-btn" id="lockRoomBtn" style="display: none;">
+                    🔓 Lock Room
+                </button>
+                <button class="control-btn password-btn" id="roomPasswordBtn" style="display: none;">
+                    🔑 Set Password
+                </button>
             </div>
         </div>
 
         <div class="room-status" id="roomStatus">
-            Users: <span id="peerCount">0</span>/${config.maxUsers} | Presentations: <span id="screenCount">0</span>/${config.maxScreenShares}
+            Room: ${roomId}<span id="roomLockLabel"></span> | Users: <span id="peerCount">0</span>/${config.maxUsers} | Viewers: <span id="viewerCount">0</span>/${config.maxViewers} | Presentations: <span id="screenCount">0</span>/${config.maxScreenShares}
+            <span class="recording-indicator" id="recordingIndicator" style="display: none;">🔴 Recording</span>
+            <span class="recording-indicator" id="compositeIndicator" style="display: none;">📺 Live Mix</span>
+        </div>
+
+        <div class="network-warning" id="networkWarning" style="display: none;">
+            ⚠️ Your connection is unstable - others may not see or hear you well
         </div>
 
         <!-- Users Grid -->
@@ -300,6 +726,57 @@ app.get(`${config.urlPrefix}/`, (req, res) => {
         </div>
     </div>
 
+    <!-- Device settings -->
+    <div id="devicePanel" class="device-panel">
+        <div class="device-panel-header">
+            <div class="device-panel-title">⚙️ Settings</div>
+            <button class="chat-close" id="devicePanelCloseBtn">&times;</button>
+        </div>
+        <label id="deviceCameraLabel">Camera <select id="deviceCameraSelect"></select></label>
+        <label id="deviceMicLabel">Microphone <select id="deviceMicSelect"></select></label>
+        <label id="deviceSpeakerSelectLabel">Speaker <select id="deviceSpeakerSelect"></select></label>
+        <label>Connection
+            <select id="mediaModeSelect">
+                <option value="full">Full quality</option>
+                <option value="data-saver">Data saver - low video quality</option>
+                <option value="audio-only">Audio only - no video</option>
+            </select>
+        </label>
+    </div>
+
+    <!-- Chat -->
+    <div id="chatPanel" class="chat-panel">
+        <div class="chat-header">
+            <div class="chat-title">💬 Chat</div>
+            <button class="chat-close" id="chatCloseBtn">&times;</button>
+        </div>
+        <div class="chat-messages" id="chatMessages"></div>
+        <form class="chat-form" id="chatForm">
+            <select id="chatRecipient" class="chat-recipient">
+                <option value="">Everyone</option>
+            </select>
+            <div class="chat-input-row">
+                <input type="text" id="chatInput" class="chat-input" placeholder="Type a message..." maxlength="2000" autocomplete="off">
+                <button type="submit" class="chat-send">Send</button>
+            </div>
+        </form>
+    </div>
+
+    <!-- Waiting Room (hosts only) -->
+    <div id="lobbyPanel" class="lobby-panel">
+        <div class="lobby-panel-title">⏳ Waiting to join</div>
+        <div class="lobby-list" id="lobbyList"></div>
+    </div>
+
+    <!-- Viewers (hosts only) -->
+    <div id="viewerPanel" class="viewer-panel">
+        <div class="device-panel-header">
+            <div class="viewer-panel-title">👀 Viewers</div>
+            <button class="chat-close" id="viewerPanelCloseBtn">&times;</button>
+        </div>
+        <div class="viewer-list" id="viewerList"></div>
+    </div>
+
     <!-- Swap Instructions - UPDATED -->
     <div id="swapInstructions" class="swap-instructions" style="display: none;">
         <h3>🎯 Swap Mode Active</h3>
@@ -313,278 +790,685 @@ app.get(`${config.urlPrefix}/`, (req, res) => {
     <script src="${config.urlPrefix}/client.js"></script>
 </body>
 </html>`;
-  res.send(html);
-});
+}
 
-// HTTP endpoints
-app.get(`${config.urlPrefix}/router-rtp-capabilities`, (req, res) => {
-  res.json(router.rtpCapabilities);
+app.get(`${config.urlPrefix}/`, (req, res) => {
+  res.send(renderRoomPage(config.defaultRoomId));
 });
 
-app.post(`${config.urlPrefix}/create-transport`, async (req, res) => {
-  try {
-    const { socketId, direction } = req.body;
+app.get(`${config.urlPrefix}/r/:roomId`, (req, res) => {
+  if (!isValidRoomId(req.params.roomId)) {
+    return res.status(404).send("Room not found");
+  }
+  res.send(renderRoomPage(req.params.roomId));
+});
 
-    if (!socketId) {
-      return res.status(400).json({ error: "Socket ID is required" });
-    }
+// WHIP and room API requests authenticate with a join token for the room as bearer token
+function verifyBearerJoinToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (!match) {
+    throw new Error("A join token is required as bearer token");
+  }
 
-    // Only check room capacity for NEW users, not existing ones
-    if (direction === 'send') {
-      const userState = RoomState.getUserBySocketId(socketId);
-      // Only check room capacity if this user isn't already in the room
-      if (!userState && RoomState.isRoomFull()) {
-        return res.status(403).json({ error: `Room is full. Maximum ${config.maxUsers} users allowed.` });
-      }
-    }
+  const claims = verifyJoinToken(match[1]);
+  if (claims.room !== req.params.roomId) {
+    throw new Error("Join token is not valid for this room");
+  }
+  return claims;
+}
 
-    const transport = await router.createWebRtcTransport({
-      listenIps: [
-        {
-          ip: config.listenIp,
-          announcedIp: config.announcedIp
-        }
-      ],
-      enableUdp: true,
-      enableTcp: true,
-      preferUdp: true,
-      initialAvailableOutgoingBitrate: config.initialOutgoingBitrate,
-    });
+function rejectWhipToken(req, res, error) {
+  console.log(`❌ Rejected WHIP request for ${req.params.roomId}: ${error.message}`);
+  Metrics.recordJoinFailure('invalid_token');
+  res.status(401).set('WWW-Authenticate', 'Bearer').send(error.message);
+}
 
-    RoomState.transports.set(transport.id, {
-      transport,
-      socketId,
-      direction
-    });
+app.post(`${config.urlPrefix}/r/:roomId/whip`, express.text({ type: 'application/sdp' }), async (req, res) => {
+  const { roomId } = req.params;
+  if (!isValidRoomId(roomId)) {
+    return res.status(404).send("Room not found");
+  }
 
-    console.log(`🚚 Created ${direction} transport for ${socketId}: ${transport.id}`);
+  let claims;
+  try {
+    claims = verifyBearerJoinToken(req);
+  } catch (error) {
+    return rejectWhipToken(req, res, error);
+  }
+  if (!can(claims.role, 'shareScreen')) {
+    return res.status(403).send("Your role is not allowed to share the screen");
+  }
+  if (!req.is('application/sdp')) {
+    return res.status(415).send("Expected an application/sdp offer");
+  }
 
-    res.json({
-      id: transport.id,
-      iceParameters: transport.iceParameters,
-      iceCandidates: transport.iceCandidates,
-      dtlsParameters: transport.dtlsParameters,
-    });
+  let offer;
+  try {
+    offer = parseOffer(req.body);
   } catch (error) {
-    console.error("Error creating transport:", error);
-    res.status(500).json({ error: error.message });
+    return res.status(400).send(error.message);
   }
-});
 
-app.post(`${config.urlPrefix}/connect-transport`, async (req, res) => {
+  let room;
   try {
-    const { transportId, dtlsParameters } = req.body;
-    const transportData = RoomState.transports.get(transportId);
+    room = await getOrCreateRoom(roomId);
+  } catch (error) {
+    console.error(`Failed to open room ${roomId}:`, error);
+    return res.status(503).send("Room is not available");
+  }
 
-    if (!transportData) {
-      return res.status(404).json({ error: "Transport not found" });
-    }
+  const identity = { signed: true, name: typeof claims.name === 'string' ? claims.name : null, subject: claims.sub || null };
+  if (room.bannedKeys.has(getBanKey(identity, req.ip))) {
+    Metrics.recordJoinFailure('banned');
+    closeRoomIfEmpty(room);
+    return res.status(403).send("You have been removed from this room by a host");
+  }
 
-    await transportData.transport.connect({ dtlsParameters });
-    res.json({ success: true });
+  const id = crypto.randomUUID();
+  const ingestId = `whip:${id}`;
+  try {
+    const answer = await startIngest(room, ingestId, offer, identity.name || 'WHIP', getBanKey(identity, req.ip));
+    const location = `${config.urlPrefix}/r/${roomId}/whip/${id}`;
+    console.log(`📡 WHIP ingest ${ingestId} started in ${roomId} by ${identity.name || 'an encoder'}`);
+
+    res.status(201)
+      .set('Location', location)
+      .set('Access-Control-Expose-Headers', 'Location')
+      .type('application/sdp')
+      .send(answer);
   } catch (error) {
-    console.error("Error connecting transport:", error);
-    res.status(500).json({ error: error.message });
+    console.error(`Failed to start WHIP ingest in ${roomId}:`, error.message);
+    closeRoomIfEmpty(room);
+    res.status(error.status || 500).send(error.status ? error.message : "Failed to start the ingest");
   }
 });
 
-app.post(`${config.urlPrefix}/produce`, async (req, res) => {
-  try {
-    const { transportId, kind, rtpParameters, socketId, source } = req.body;
-    const transportData = RoomState.transports.get(transportId);
+// Trickle ICE and ICE restarts are not supported, encoders send all candidates in the offer
+app.patch(`${config.urlPrefix}/r/:roomId/whip/:id`, (req, res) => {
+  res.status(405).set('Allow', 'DELETE').send("Method not allowed");
+});
 
-    if (!transportData) {
-      return res.status(404).json({ error: "Transport not found" });
-    }
+// Only the identity that started an ingest, or a host, may end it
+app.delete(`${config.urlPrefix}/r/:roomId/whip/:id`, (req, res) => {
+  let claims;
+  try {
+    claims = verifyBearerJoinToken(req);
+  } catch (error) {
+    return rejectWhipToken(req, res, error);
+  }
 
-    if (source === 'screen') {
-      if (RoomState.getScreenShareCount() >= RoomState.MAX_SCREEN_SHARES) {
-        return res.status(403).json({ error: `Maximum ${config.maxScreenShares} screen shares allowed` });
-      }
-    }
+  const room = rooms.get(req.params.roomId);
+  const ingestId = `whip:${req.params.id}`;
+  const ingest = room ? room.ingests.get(ingestId) : null;
+  if (!ingest) {
+    return res.status(404).send("Ingest not found");
+  }
 
-    const producer = await transportData.transport.produce({
-      kind,
-      rtpParameters
-    });
+  const identity = { signed: true, name: typeof claims.name === 'string' ? claims.name : null, subject: claims.sub || null };
+  const isOwner = getBanKey(identity, req.ip) === ingest.ownerKey;
+  if (!isOwner && !can(claims.role, 'moderate')) {
+    return res.status(403).send("Only the encoder that started this ingest or a host can end it");
+  }
 
-    const producerData = {
-      producer,
-      socketId,
-      kind,
-      source: source || 'camera'
-    };
+  endIngest(room, ingestId, isOwner ? 'deleted by the encoder' : 'deleted by a host');
+  res.sendStatus(200);
+});
 
-    const userState = RoomState.getUserBySocketId(socketId);
-    const peerName = userState ? userState.name : 'Unknown';
+// HTTP endpoints, scoped to a room (read-only, media signaling goes through Socket.IO).
+// They list names and producers of locked or password-protected rooms, so only hosts may read them.
+const roomApi = express.Router({ mergeParams: true });
+app.use(`${config.urlPrefix}/r/:roomId`, roomApi);
 
-    if (source === 'screen') {
-      // FIXED: Get presentation index from available pool
-      const presentationIndex = RoomState.getNextPresentationIndex();
-      if (presentationIndex === null) {
-        return res.status(403).json({ error: `Maximum ${config.maxScreenShares} screen shares allowed` });
-      }
-      
-      producerData.presentationIndex = presentationIndex;
-      RoomState.screenProducers.set(producer.id, producer);
+roomApi.use((req, res, next) => {
+  let claims;
+  try {
+    claims = verifyBearerJoinToken(req);
+  } catch (error) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: error.message });
+  }
+  if (!can(claims.role, 'moderate')) {
+    return res.status(403).json({ error: "A host join token is required" });
+  }
 
-      console.log(`🖥️ New screen share from ${socketId}: ${producer.id} (pr${presentationIndex})`);
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  req.room = room;
+  next();
+});
 
-      // Broadcast to ALL users INCLUDING the sender
-      io.emit("new-presentation", {
-        id: producer.id,
-        socketId: socketId,
-        kind: kind,
-        peerName: peerName,
-        presentationIndex: presentationIndex
-      });
+roomApi.get('/producers', (req, res) => {
+  res.json(req.room.getAllProducers());
+});
 
-      console.log(`📢 Broadcasted new-presentation to ALL users including sender`);
+roomApi.get('/room-state', (req, res) => {
+  const room = req.room;
+  res.json({
+    roomId: room.id,
+    users: room.getAllUsers(),
+    producers: room.getAllProducers(),
+    userCount: room.getParticipantCount(),
+    maxUsers: room.MAX_USERS,
+    viewerCount: room.getViewerCount(),
+    maxViewers: room.MAX_VIEWERS,
+    screenShareCount: room.getScreenShareCount(),
+    maxScreenShares: room.MAX_SCREEN_SHARES,
+    availableIndexes: room.availableIndexes,
+    availablePresentationIndexes: room.availablePresentationIndexes
+  });
+});
 
-      // Update room status when screen share starts
-      io.emit('room-status', {
-        userCount: RoomState.users.size,
-        maxUsers: RoomState.MAX_USERS,
-        screenShareCount: RoomState.getScreenShareCount()
-      });
-      console.log(`📊 Updated room status: ${RoomState.getScreenShareCount()} screen shares`);
+// Prometheus scrape endpoint, protected by a bearer token when METRICS_TOKEN is set
+app.get(`${config.urlPrefix}/metrics`, async (req, res) => {
+  if (config.metricsToken && req.get('authorization') !== `Bearer ${config.metricsToken}`) {
+    return res.status(401).send("Unauthorized");
+  }
 
-    } else {
-      console.log(`🎥 New ${kind} producer from ${socketId}: ${producer.id} (${source})`);
+  try {
+    res.type('text/plain; version=0.0.4').send(await Metrics.render(rooms, WorkerPool.getWorkers()));
+  } catch (error) {
+    console.error('Failed to collect metrics:', error);
+    res.status(500).send("Failed to collect metrics");
+  }
+});
 
-      // Notify about new user producer - Broadcast to all except sender
-      socketId && io.except(socketId).emit("new-producer", {
-        id: producer.id,
-        socketId: socketId,
-        kind: kind,
-        source: source || 'camera',
-        peerName: peerName,
-        userIndex: userState ? userState.userIndex : 0
-      });
+// Socket.IO
+
+// Register an acknowledged request handler: the ack receives the handler result or { error }
+function onRequest(socket, event, handler) {
+  socket.on(event, async (data, ack) => {
+    if (typeof data === 'function') {
+      ack = data;
+      data = {};
     }
+    if (typeof ack !== 'function') return;
 
-    RoomState.producers.set(producer.id, producerData);
-    res.json({ id: producer.id });
+    const startedAt = process.hrtime.bigint();
+    const observe = (status) => {
+      Metrics.observeRequest('socket', event, status, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+
+    try {
+      ack(await handler(data || {}));
+      observe('ok');
+    } catch (error) {
+      console.error(`Error handling ${event} from ${socket.id}:`, error.message);
+      ack({ error: error.message });
+      observe('error');
+    }
+  });
+}
+
+// Verify the signed join token, if any, and derive the participant identity from it
+io.use((socket, next) => {
+  const token = socket.handshake.auth.token;
+
+  if (!token) {
+    if (config.requireJoinToken) {
+      console.log(`❌ Rejected connection from ${socket.id}: no join token`);
+      Metrics.recordJoinFailure('invalid_token');
+      return next(new Error("A join token is required to enter this conference"));
+    }
+    socket.data.identity = { signed: false, name: null, role: config.defaultRole, roomId: null, subject: null };
+    return next();
+  }
+
+  try {
+    const claims = verifyJoinToken(token);
+    socket.data.identity = {
+      signed: true,
+      name: typeof claims.name === 'string' ? claims.name : null,
+      role: claims.role,
+      roomId: claims.room,
+      subject: claims.sub || null
+    };
+    next();
   } catch (error) {
-    console.error("Error creating producer:", error);
-    res.status(500).json({ error: error.message });
+    console.log(`❌ Rejected connection from ${socket.id}: invalid join token (${error.message})`);
+    Metrics.recordJoinFailure('invalid_token');
+    next(new Error(`Invalid join token: ${error.message}`));
   }
 });
 
-app.post(`${config.urlPrefix}/consume`, async (req, res) => {
+// Resolve the requested room before the connection is accepted so that
+// no event from the client can arrive before its room exists
+io.use(async (socket, next) => {
+  const roomId = socket.handshake.auth.roomId || socket.handshake.query.roomId || config.defaultRoomId;
+
+  if (!isValidRoomId(roomId)) {
+    console.log(`❌ Rejected connection from ${socket.id}: invalid room id`);
+    return next(new Error("Invalid room id"));
+  }
+
+  // Anyone may choose to only watch, whatever their token allows
+  const identity = socket.data.identity;
+  if (socket.handshake.auth.viewer === true) {
+    identity.role = 'viewer';
+  }
+
+  if (identity.signed && identity.roomId !== roomId) {
+    console.log(`❌ Rejected connection from ${socket.id}: token is for room ${identity.roomId}, not ${roomId}`);
+    Metrics.recordJoinFailure('invalid_token');
+    return next(new Error("Join token is not valid for this room"));
+  }
+
+  // Resolved once so bans and the passcode throttle key on the same (trusted) address
+  socket.data.clientAddress = getClientAddress(socket);
+  const banKey = getBanKey(identity, socket.data.clientAddress);
+  const existingRoom = rooms.get(roomId);
+  if (existingRoom && existingRoom.bannedKeys.has(banKey)) {
+    console.log(`❌ Rejected connection from ${socket.id}: removed from room ${roomId} by a host`);
+    Metrics.recordJoinFailure('banned');
+    return next(new Error("You have been removed from this room by a host"));
+  }
+  socket.data.banKey = banKey;
+
   try {
-    const { transportId, producerId, rtpCapabilities } = req.body;
-    const transportData = RoomState.transports.get(transportId);
-    const producerData = RoomState.producers.get(producerId);
+    socket.data.room = await getOrCreateRoom(roomId);
+    next();
+  } catch (error) {
+    console.error(`Failed to open room ${roomId}:`, error);
+    next(new Error("Room is not available"));
+  }
+});
 
-    if (!transportData) {
-      return res.status(404).json({ error: "Transport not found" });
+io.on("connection", (socket) => {
+  const room = socket.data.room;
+  const identity = socket.data.identity;
+  console.log(`🔌 New socket connection: ${socket.id} (room ${room.id})`);
+
+  // Reconnecting users keep their slot, so they skip the checks below
+  const resumeToken = socket.handshake.auth.resumeToken;
+  if (resumeToken) {
+    const previousSocketId = room.findUserByResumeToken(resumeToken);
+    const previousUser = previousSocketId ? room.getUserBySocketId(previousSocketId) : null;
+    // Promoted viewers still connect with their original role
+    if (previousUser && (previousUser.role === identity.role || previousUser.promotedFrom === identity.role)) {
+      resumeSession(socket, previousSocketId);
+      return;
     }
 
-    if (!producerData) {
-      return res.status(404).json({ error: "Producer not found" });
+    // A reloaded page has nothing to restore, so it just joins again
+    if (!socket.handshake.auth.reloaded) {
+      socket.emit('rejoin-required', { reason: 'Your session has expired' });
+      socket.disconnect();
+      console.log(`⌛ Rejected resume from ${socket.id}: no session to resume in room ${room.id}`);
+      closeRoomIfEmpty(room);
+      return;
     }
+  }
 
-    if (!router.canConsume({ producerId, rtpCapabilities })) {
-      return res.status(400).json({ error: "Cannot consume" });
+  const viewer = identity.role === 'viewer';
+  if (viewer ? room.isViewerLimitReached() : room.isRoomFull()) {
+    socket.emit('room-full', { viewer });
+    socket.disconnect();
+    console.log(`❌ Rejected connection from ${socket.id}: room ${room.id} full${viewer ? ' of viewers' : ''}`);
+    Metrics.recordJoinFailure('room_full');
+    closeRoomIfEmpty(room);
+    return;
+  }
+
+  // Hosts bypass the lock, the passcode and the lobby
+  if (!can(identity.role, 'moderate')) {
+    if (room.locked) {
+      socket.emit('room-locked', { message: 'This room has been locked by a host.' });
+      socket.disconnect();
+      console.log(`🔒 Rejected connection from ${socket.id}: room ${room.id} is locked`);
+      Metrics.recordJoinFailure('room_locked');
+      closeRoomIfEmpty(room);
+      return;
     }
 
-    const consumer = await transportData.transport.consume({
-      producerId,
-      rtpCapabilities,
-      paused: false,
+    if (room.passwordHash && !checkRoomPassword(socket, room)) {
+      Metrics.recordJoinFailure('invalid_password');
+      socket.disconnect();
+      closeRoomIfEmpty(room);
+      return;
+    }
+
+    // Everyone else waits for admission while the lobby is enabled
+    if (room.lobbyEnabled) {
+      holdInLobby(socket);
+      return;
+    }
+  }
+
+  joinRoom(socket);
+});
+
+// Disconnect reasons that mean the network dropped rather than the user leaving
+const RESUMABLE_DISCONNECT_REASONS = ['transport close', 'transport error', 'ping timeout'];
+
+// Check the passcode from the handshake, throttling repeated failures per client address
+function checkRoomPassword(socket, room) {
+  const address = socket.data.clientAddress;
+  const password = socket.handshake.auth.password;
+
+  const retryAfterMs = PasswordThrottle.getRetryAfter(address);
+  if (retryAfterMs > 0) {
+    socket.emit('invalid-password', {
+      reason: 'throttled',
+      retryAfterMs: retryAfterMs,
+      message: `Too many wrong passwords. Try again in ${Math.ceil(retryAfterMs / 1000)} seconds.`
     });
+    console.log(`🔑 Rejected connection from ${socket.id}: password attempts throttled for ${address}`);
+    return false;
+  }
 
-    res.json({
-      id: consumer.id,
-      producerId: consumer.producerId,
-      kind: consumer.kind,
-      rtpParameters: consumer.rtpParameters,
+  if (!verifyPassword(password, room.passwordHash)) {
+    const blockedForMs = password ? PasswordThrottle.recordFailure(address) : 0;
+    socket.emit('invalid-password', {
+      reason: password ? 'wrong' : 'required',
+      retryAfterMs: blockedForMs,
+      message: password ? 'Wrong room password.' : 'This room is protected by a password.'
     });
-  } catch (error) {
-    console.error("Error creating consumer:", error);
-    res.status(500).json({ error: error.message });
+    console.log(`🔑 Rejected connection from ${socket.id}: ${password ? 'wrong' : 'missing'} password for room ${room.id}`);
+    return false;
   }
-});
 
-app.get(`${config.urlPrefix}/producers`, (req, res) => {
-  res.json(RoomState.getAllProducers());
-});
+  PasswordThrottle.reset(address);
+  return true;
+}
 
-app.get(`${config.urlPrefix}/room-state`, (req, res) => {
-  res.json({
-    users: RoomState.getAllUsers(),
-    producers: RoomState.getAllProducers(),
-    userCount: RoomState.users.size,
-    maxUsers: RoomState.MAX_USERS,
-    screenShareCount: RoomState.getScreenShareCount(),
-    maxScreenShares: RoomState.MAX_SCREEN_SHARES,
-    availableIndexes: RoomState.availableIndexes,
-    availablePresentationIndexes: RoomState.availablePresentationIndexes
+// Display name for a new socket: the signed token name wins over the one typed in the join form
+function getDisplayName(socket) {
+  const identity = socket.data.identity;
+  if (identity.name) {
+    return identity.name;
+  }
+  const requestedName = socket.handshake.auth.name;
+  if (typeof requestedName === 'string' && requestedName.trim()) {
+    return requestedName.trim().slice(0, 50);
+  }
+  return "Anonymous";
+}
+
+// Waiting room
+function getLobbyState(room) {
+  return {
+    enabled: room.lobbyEnabled,
+    waiting: room.getWaitingUsers()
+  };
+}
+
+function broadcastLobbyState(room) {
+  io.to(room.hostChannel).emit('lobby-update', getLobbyState(room));
+}
+
+// Hold a socket without a user slot or media access until a host decides
+function holdInLobby(socket) {
+  const room = socket.data.room;
+
+  const entry = {
+    socket,
+    name: getDisplayName(socket),
+    since: Date.now(),
+    timer: setTimeout(() => denyFromLobby(room, socket.id, 'timeout'), config.lobbyTimeoutMs),
+    onDisconnect: () => {
+      clearTimeout(entry.timer);
+      room.waiting.delete(socket.id);
+      console.log(`🚪 Waiting user ${socket.id} left the lobby of room ${room.id}`);
+      broadcastLobbyState(room);
+      closeRoomIfEmpty(room);
+    }
+  };
+
+  room.waiting.set(socket.id, entry);
+  socket.on('disconnect', entry.onDisconnect);
+
+  socket.emit('lobby-waiting', {
+    roomId: room.id,
+    hostPresent: room.hasHost()
   });
-});
+  broadcastLobbyState(room);
 
-// Socket.IO
-io.on("connection", (socket) => {
-  console.log("🔌 New socket connection:", socket.id);
+  console.log(`⏳ ${socket.id} (${entry.name}) is waiting in the lobby of room ${room.id}`);
+}
 
-  if (RoomState.isRoomFull()) {
-    socket.emit('room-full');
-    socket.disconnect();
-    console.log(`❌ Rejected connection from ${socket.id}: room full`);
-    return;
-  }
+function takeFromLobby(room, socketId) {
+  const entry = room.waiting.get(socketId);
+  if (!entry) return null;
+
+  clearTimeout(entry.timer);
+  entry.socket.off('disconnect', entry.onDisconnect);
+  room.waiting.delete(socketId);
+  return entry;
+}
 
-  // Assign user index from available pool
-  const userIndex = RoomState.getNextUserIndex();
-  if (userIndex === null) {
-    socket.emit('room-full');
+function admitFromLobby(room, socketId) {
+  const entry = takeFromLobby(room, socketId);
+  if (!entry) return false;
+
+  console.log(`✅ ${socketId} admitted from the lobby of room ${room.id}`);
+  joinRoom(entry.socket);
+  broadcastLobbyState(room);
+  return true;
+}
+
+function denyFromLobby(room, socketId, reason) {
+  const entry = takeFromLobby(room, socketId);
+  if (!entry) return false;
+
+  entry.socket.emit('lobby-denied', {
+    reason: reason,
+    message: reason === 'timeout'
+      ? 'Nobody admitted you to the conference in time. Please try again later.'
+      : 'A host declined your request to join the conference.'
+  });
+  entry.socket.disconnect(true);
+
+  console.log(`🚫 ${socketId} denied from the lobby of room ${room.id} (${reason})`);
+  Metrics.recordJoinFailure('lobby_denied');
+  broadcastLobbyState(room);
+  closeRoomIfEmpty(room);
+  return true;
+}
+
+// Give the socket a user slot and wire up all in-call handlers
+function joinRoom(socket) {
+  const room = socket.data.room;
+  const identity = socket.data.identity;
+
+  // Assign user index from available pool - viewers do not take a slot
+  const viewer = identity.role === 'viewer';
+  const userIndex = viewer ? null : room.getNextUserIndex();
+  if (viewer ? room.isViewerLimitReached() : userIndex === null) {
+    socket.emit('room-full', { viewer });
     socket.disconnect();
-    console.log(`❌ No available user index for ${socket.id}`);
+    console.log(`❌ No room for ${viewer ? 'another viewer' : 'another user'} ${socket.id} in room ${room.id}`);
+    Metrics.recordJoinFailure('room_full');
+    closeRoomIfEmpty(room);
     return;
   }
 
-  RoomState.users.set(socket.id, {
+  const initialName = getDisplayName(socket);
+  room.users.set(socket.id, {
     id: socket.id,
-    name: "Anonymous",
-    videoEnabled: true,
-    audioEnabled: true,
-    userIndex: userIndex
+    name: initialName,
+    role: identity.role,
+    // Users may join with the camera or microphone off (pre-join screen)
+    videoEnabled: can(identity.role, 'produceVideo') && socket.handshake.auth.videoEnabled !== false,
+    audioEnabled: can(identity.role, 'produceAudio') && socket.handshake.auth.audioEnabled !== false,
+    hostMuted: { audio: false, video: false }, // set by mute-participant, only a host can lift it
+    mediaMode: 'full', // see MEDIA_MODES
+    userIndex: userIndex,
+    banKey: socket.data.banKey, // kept here so users in reconnect grace can be banned too
+    resumeToken: null // set by sendInit
   });
+  socket.join(room.channel);
+  if (can(identity.role, 'moderate')) {
+    socket.join(room.hostChannel);
+  }
+  if (room.recording) {
+    room.recording.addParticipant(socket.id);
+  }
 
-  console.log(`✅ Peer connected: ${socket.id} assigned index: scr${userIndex}`);
-  RoomState.printState();
+  console.log(`✅ Peer connected: ${socket.id} (${identity.role}) ${viewer ? 'as a viewer' : `assigned index: scr${userIndex}`} in room ${room.id}`);
+  room.printState();
 
-  // Send initial data to the new user
-  socket.emit('init', {
-    userIndex: userIndex,
-    currentUsers: RoomState.getAllUsers(socket.id),
-    currentProducers: RoomState.getAllProducers()
-  });
+  sendInit(socket, false);
 
   // Notify others about new user
-  socket.broadcast.emit("user-joined", {
+  const joinedUser = room.getUserBySocketId(socket.id);
+  socket.to(room.channel).emit("user-joined", {
     socketId: socket.id,
-    name: "Anonymous",
+    name: joinedUser.name,
+    role: joinedUser.role,
     userIndex: userIndex,
-    videoEnabled: true,
-    audioEnabled: true
+    videoEnabled: joinedUser.videoEnabled,
+    audioEnabled: joinedUser.audioEnabled,
+    mediaMode: joinedUser.mediaMode
   });
 
   // Update room status for everyone
-  io.emit('room-status', {
-    userCount: RoomState.users.size,
-    maxUsers: RoomState.MAX_USERS,
-    screenShareCount: RoomState.getScreenShareCount()
+  broadcastRoomStatus(room);
+
+  registerSessionHandlers(socket);
+}
+
+// Take over the slot, producers and transports a dropped connection left behind
+function resumeSession(socket, previousSocketId) {
+  const room = socket.data.room;
+
+  // The server may not have noticed the old connection is gone yet
+  const previousSocket = io.sockets.sockets.get(previousSocketId);
+  if (previousSocket) {
+    previousSocket.data.superseded = true;
+    previousSocket.disconnect(true);
+  }
+
+  const pending = room.reconnecting.get(previousSocketId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    room.reconnecting.delete(previousSocketId);
+  }
+
+  const userState = room.rekeyUser(previousSocketId, socket.id);
+  socket.join(room.channel);
+  if (can(userState.role, 'moderate')) {
+    socket.join(room.hostChannel);
+  }
+
+  // A reloaded page sets up its transports again, so whatever the old page left is stale
+  if (socket.handshake.auth.reloaded) {
+    resetUserMedia(room, socket);
+  }
+
+  console.log(`🔁 Peer ${previousSocketId} resumed as ${socket.id} (scr${userState.userIndex}) in room ${room.id}`);
+
+  sendInit(socket, true);
+
+  socket.to(room.channel).emit("user-resumed", {
+    previousSocketId: previousSocketId,
+    socketId: socket.id,
+    name: userState.name,
+    role: userState.role,
+    userIndex: userState.userIndex,
+    videoEnabled: userState.videoEnabled,
+    audioEnabled: userState.audioEnabled,
+    mediaMode: userState.mediaMode
+  });
+
+  registerSessionHandlers(socket);
+}
+
+// Room snapshot for a joined user; every init carries a fresh resume token
+function sendInit(socket, resumed) {
+  const room = socket.data.room;
+  const identity = socket.data.identity;
+  const userState = room.getUserBySocketId(socket.id);
+  userState.resumeToken = crypto.randomBytes(24).toString('base64url');
+
+  socket.emit('init', {
+    roomId: room.id,
+    resumed: resumed,
+    resumeToken: userState.resumeToken,
+    userIndex: userState.userIndex,
+    name: userState.name,
+    nameLocked: Boolean(identity.name),
+    role: userState.role,
+    permissions: getPermissions(userState.role),
+    hostMuted: userState.hostMuted,
+    mediaMode: userState.mediaMode,
+    currentUsers: room.getAllUsers(socket.id),
+    currentProducers: room.getAllProducers(),
+    activeSpeaker: room.users.has(room.activeSpeakerId) ? room.activeSpeakerId : null,
+    chatHistory: room.chatHistory,
+    recording: getRecordingStatus(room),
+    composite: getCompositeStatus(room),
+    lobby: can(userState.role, 'moderate') ? getLobbyState(room) : null
+  });
+}
+
+// Keep the user's slot and media for a while after the connection dropped
+function holdForReconnect(room, socketId) {
+  const timer = setTimeout(() => {
+    room.reconnecting.delete(socketId);
+    console.log(`⌛ Reconnect grace expired for ${socketId} in room ${room.id}`);
+    leaveRoom(room, socketId);
+  }, config.reconnectGraceMs);
+
+  room.reconnecting.set(socketId, { timer, since: Date.now() });
+  io.to(room.channel).emit("user-reconnecting", { socketId });
+  console.log(`📶 Holding ${socketId} in room ${room.id} for ${config.reconnectGraceMs}ms`);
+}
+
+function leaveRoom(room, socketId) {
+  const pending = room.reconnecting.get(socketId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    room.reconnecting.delete(socketId);
+  }
+
+  // Get user state before cleanup
+  const userState = room.getUserBySocketId(socketId);
+  if (room.recording) {
+    room.recording.removeParticipant(socketId);
+  }
+
+  // Clean up all user resources
+  const removedPresentations = room.cleanupUser(socketId);
+
+  // Notify about user left
+  io.to(room.channel).emit("user-left", {
+    socketId: socketId
   });
 
+  // Notify about ended presentations for this user
+  removedPresentations.forEach(producerId => {
+    io.to(room.channel).emit("presentation-ended", {
+      producerId: producerId,
+      socketId: socketId
+    });
+  });
+
+  // Update room status
+  broadcastRoomStatus(room);
+
+  console.log(`🗑️ Cleaned up resources for ${socketId}`);
+  if (userState) {
+    console.log(`📊 Released user index: scr${userState.userIndex}`);
+  }
+  room.printState();
+  closeRoomIfEmpty(room);
+}
+
+// Request and event handlers of a joined user
+function registerSessionHandlers(socket) {
+  const room = socket.data.room;
+  const identity = socket.data.identity;
+
   socket.on("set-name", (name) => {
-    const userState = RoomState.getUserBySocketId(socket.id);
+    // Names from signed tokens cannot be changed by the client
+    if (identity.name) return;
+
+    const userState = room.getUserBySocketId(socket.id);
     if (userState) {
       userState.name = name;
       console.log(`📛 Peer ${socket.id} set name to: ${name}`);
 
-      socket.broadcast.emit("user-updated", {
+      socket.to(room.channel).emit("user-updated", {
         socketId: socket.id,
         name: name,
         videoEnabled: userState.videoEnabled,
@@ -592,108 +1476,628 @@ io.on("connection", (socket) => {
         userIndex: userState.userIndex
       });
 
-      io.emit('room-status', {
-        userCount: RoomState.users.size,
-        maxUsers: RoomState.MAX_USERS,
-        screenShareCount: RoomState.getScreenShareCount()
-      });
+      broadcastRoomStatus(room);
     }
   });
 
-  socket.on("toggle-video", (data) => {
-    const userState = RoomState.getUserBySocketId(socket.id);
-    if (userState) {
-      userState.videoEnabled = data.enabled;
-      socket.broadcast.emit("user-video-toggled", {
-        socketId: socket.id,
-        enabled: data.enabled
-      });
+  const toggleCameraMedia = async (kind, enabled) => {
+    const userState = room.getUserBySocketId(socket.id);
+    if (!userState) {
+      throw new Error("You are not in the room");
+    }
+
+    enabled = Boolean(enabled);
+    if (enabled && userState.hostMuted[kind]) {
+      throw new Error(`Your ${kind === 'audio' ? 'microphone' : 'camera'} was turned off by a host`);
+    }
+    if (enabled && kind === 'video' && userState.mediaMode === 'audio-only') {
+      throw new Error("Your camera is off in audio-only mode");
+    }
+
+    await setCameraMediaEnabled(room, socket.id, kind, enabled);
+    return { enabled };
+  };
+
+  onRequest(socket, "toggle-video", ({ enabled }) => toggleCameraMedia('video', enabled));
+
+  onRequest(socket, "toggle-audio", ({ enabled }) => toggleCameraMedia('audio', enabled));
+
+  // Audio-only stops the camera and pauses incoming video, data saver lowers incoming video
+  onRequest(socket, "set-media-mode", async ({ mode }) => {
+    const userState = room.getUserBySocketId(socket.id);
+    if (!userState) {
+      throw new Error("You are not in the room");
+    }
+    if (!MEDIA_MODES.includes(mode)) {
+      throw new Error("Unknown media mode");
     }
+
+    userState.mediaMode = mode;
+    if (mode === 'audio-only') {
+      closeCameraVideo(room, socket.id);
+    }
+
+    const ownConsumers = Array.from(room.consumers.values()).filter(consumerData => consumerData.socketId === socket.id);
+    await Promise.all(ownConsumers.map(consumerData => applyConsumerState(room, consumerData)));
+
+    console.log(`📶 ${socket.id} switched to ${mode} mode in ${room.id}`);
+    socket.to(room.channel).emit("user-media-mode", { socketId: socket.id, mode });
+    return { mode };
   });
 
-  socket.on("toggle-audio", (data) => {
-    const userState = RoomState.getUserBySocketId(socket.id);
-    if (userState) {
-      userState.audioEnabled = data.enabled;
-      socket.broadcast.emit("user-audio-toggled", {
-        socketId: socket.id,
-        enabled: data.enabled
-      });
+  const requireHost = () => {
+    const hostState = room.getUserBySocketId(socket.id);
+    if (!hostState || !can(hostState.role, 'moderate')) {
+      throw new Error("Only hosts can moderate participants");
+    }
+    return hostState;
+  };
+
+  // Text chat - room-wide messages are kept in the room history, direct ones are not
+  onRequest(socket, "chat-message", ({ text, to }) => {
+    const sender = room.getUserBySocketId(socket.id);
+    if (!sender) {
+      throw new Error("You are not in the room");
+    }
+
+    const cleanText = sanitizeChatText(text);
+    if (!cleanText) {
+      throw new Error("Message is empty");
+    }
+
+    if (to) {
+      const recipient = room.getUserBySocketId(to);
+      if (!recipient || to === socket.id) {
+        throw new Error("Recipient is not in the room");
+      }
+
+      const message = createChatMessage(sender, cleanText, recipient);
+      io.to(to).emit("chat-message", message);
+      return message;
     }
+
+    const message = createChatMessage(sender, cleanText);
+    room.addChatMessage(message);
+    socket.to(room.channel).emit("chat-message", message);
+    return message;
   });
 
-  // New event for screen share stop
-  socket.on("stop-screen-share", () => {
-    console.log(`🖥️ User ${socket.id} stopped screen sharing`);
+  // Server-side recording
+  onRequest(socket, "start-recording", async () => {
+    const hostState = requireHost();
+    if (room.recording) {
+      throw new Error("The room is already being recorded");
+    }
 
-    const removedProducers = RoomState.removeUserScreenShares(socket.id);
+    const recording = createRecording(room, hostState.name);
+    room.recording = recording;
+    try {
+      await recording.start();
+    } catch (error) {
+      recording.stop();
+      if (room.recording === recording) {
+        room.recording = null;
+      }
+      throw error;
+    }
 
-    // Notify all clients about ended presentations
-    removedProducers.forEach(producerId => {
-      io.emit("presentation-ended", {
-        producerId: producerId,
-        socketId: socket.id
-      });
+    broadcastRecordingStatus(room);
+    return getRecordingStatus(room);
+  });
+
+  onRequest(socket, "stop-recording", () => {
+    requireHost();
+    if (!room.recording) {
+      throw new Error("The room is not being recorded");
+    }
+
+    room.recording.stop();
+    room.recording = null;
+
+    broadcastRecordingStatus(room);
+    return getRecordingStatus(room);
+  });
+
+  // Composite (mixed) output to a file or a streaming server
+  onRequest(socket, "start-composite", async () => {
+    const hostState = requireHost();
+    if (room.composite) {
+      throw new Error("The composite output is already running");
+    }
+
+    const composite = createComposite(room, hostState.name);
+    room.composite = composite;
+    try {
+      await composite.start();
+    } catch (error) {
+      composite.stop();
+      if (room.composite === composite) {
+        room.composite = null;
+      }
+      throw error;
+    }
+
+    broadcastCompositeStatus(room);
+    return getCompositeStatus(room);
+  });
+
+  onRequest(socket, "stop-composite", () => {
+    requireHost();
+    if (!room.composite) {
+      throw new Error("The composite output is not running");
+    }
+
+    room.composite.stop();
+    room.composite = null;
+
+    broadcastCompositeStatus(room);
+    return getCompositeStatus(room);
+  });
+
+  // Room access controls
+  onRequest(socket, "set-room-locked", ({ locked }) => {
+    requireHost();
+    room.locked = Boolean(locked);
+    broadcastRoomStatus(room);
+    console.log(`🔒 Room ${room.id} ${room.locked ? 'locked' : 'unlocked'} by ${socket.id}`);
+    return { locked: room.locked };
+  });
+
+  onRequest(socket, "set-room-password", ({ password }) => {
+    requireHost();
+    if (password && (typeof password !== 'string' || password.length > 128)) {
+      throw new Error("Password must be a string of at most 128 characters");
+    }
+    room.passwordHash = password ? hashPassword(password) : null;
+    broadcastRoomStatus(room);
+    console.log(`🔑 Room ${room.id} password ${password ? 'set' : 'cleared'} by ${socket.id}`);
+    return { passwordProtected: room.passwordHash !== null };
+  });
+
+  // Waiting room controls
+  onRequest(socket, "set-lobby", ({ enabled }) => {
+    requireHost();
+    room.lobbyEnabled = Boolean(enabled);
+
+    // Turning the lobby off lets everyone who is waiting in
+    if (!room.lobbyEnabled) {
+      Array.from(room.waiting.keys()).forEach(socketId => admitFromLobby(room, socketId));
+    }
+
+    broadcastLobbyState(room);
+    console.log(`🚪 Lobby ${room.lobbyEnabled ? 'enabled' : 'disabled'} in room ${room.id} by ${socket.id}`);
+    return getLobbyState(room);
+  });
+
+  onRequest(socket, "lobby-admit", ({ socketId }) => {
+    requireHost();
+    if (!admitFromLobby(room, socketId)) {
+      throw new Error("User is no longer waiting");
+    }
+    return { success: true };
+  });
+
+  onRequest(socket, "lobby-deny", ({ socketId }) => {
+    requireHost();
+    if (!denyFromLobby(room, socketId, 'denied')) {
+      throw new Error("User is no longer waiting");
+    }
+    return { success: true };
+  });
+
+  // Host moderation - the target is told what happened and why
+  const getModerationTarget = (targetSocketId) => {
+    const hostState = requireHost();
+
+    const targetState = room.getUserBySocketId(targetSocketId);
+    if (!targetState) {
+      throw new Error("Participant not found");
+    }
+    if (targetSocketId === socket.id || targetState.role === 'host') {
+      throw new Error("Hosts cannot be moderated");
+    }
+    return { hostState, targetState };
+  };
+
+  const moderationReason = (reason, fallback) => {
+    return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : fallback;
+  };
+
+  const getMediaKind = (kind) => {
+    if (kind !== 'audio' && kind !== 'video') {
+      throw new Error("Invalid media kind");
+    }
+    return kind;
+  };
+
+  // The participant cannot turn the media back on until a host allows it
+  onRequest(socket, "mute-participant", async ({ socketId, kind, reason }) => {
+    const { hostState, targetState } = getModerationTarget(socketId);
+    getMediaKind(kind);
+
+    targetState.hostMuted[kind] = true;
+    await setCameraMediaEnabled(room, socketId, kind, false);
+
+    io.to(socketId).emit("moderation-action", {
+      action: 'muted',
+      kind: kind,
+      by: hostState.name,
+      reason: moderationReason(reason, `Your ${kind === 'audio' ? 'microphone' : 'camera'} was turned off by ${hostState.name}`)
+    });
+
+    console.log(`🔇 Host ${socket.id} muted ${kind} of ${socketId} in room ${room.id}`);
+    return { success: true };
+  });
+
+  // Lifts a host mute - the participant still decides when to turn the media back on
+  onRequest(socket, "allow-unmute", ({ socketId, kind }) => {
+    const { hostState, targetState } = getModerationTarget(socketId);
+    getMediaKind(kind);
+
+    if (!targetState.hostMuted[kind]) {
+      throw new Error("Participant was not muted by a host");
+    }
+    targetState.hostMuted[kind] = false;
+
+    io.to(socketId).emit("moderation-action", {
+      action: 'unmute-allowed',
+      kind: kind,
+      by: hostState.name,
+      reason: `${hostState.name} allowed you to turn your ${kind === 'audio' ? 'microphone' : 'camera'} back on`
+    });
+
+    console.log(`🔈 Host ${socket.id} allowed ${socketId} to unmute ${kind} in room ${room.id}`);
+    return { success: true };
+  });
+
+  onRequest(socket, "stop-presentation", ({ socketId, reason }) => {
+    // WHIP encoders have no socket to notify, their stream just ends
+    if (room.ingests.has(socketId)) {
+      requireHost();
+      endIngest(room, socketId, `stopped by host ${socket.id}`);
+      return { success: true };
+    }
+
+    const { hostState } = getModerationTarget(socketId);
+
+    const removedProducers = endUserPresentations(room, socketId);
+    if (removedProducers.length === 0) {
+      throw new Error("Participant is not presenting");
+    }
+
+    io.to(socketId).emit("moderation-action", {
+      action: 'presentation-stopped',
+      by: hostState.name,
+      reason: moderationReason(reason, `Your screen share was ended by ${hostState.name}`)
+    });
+
+    console.log(`⏹️ Host ${socket.id} stopped presentation of ${socketId} in room ${room.id}`);
+    return { success: true };
+  });
+
+  // Bring a viewer into the call: they take a free scr slot and start with camera and microphone off
+  onRequest(socket, "promote-viewer", ({ socketId }) => {
+    const { targetState } = getModerationTarget(socketId);
+    if (targetState.role !== 'viewer') {
+      throw new Error("Only viewers can be promoted");
+    }
+
+    const userIndex = room.getNextUserIndex();
+    if (userIndex === null) {
+      throw new Error(`All ${config.maxUsers} participant slots are taken`);
+    }
+
+    targetState.role = 'participant';
+    targetState.promotedFrom = 'viewer';
+    targetState.userIndex = userIndex;
+    targetState.videoEnabled = false;
+    targetState.audioEnabled = false;
+
+    io.to(socketId).emit("role-changed", {
+      role: targetState.role,
+      permissions: getPermissions(targetState.role),
+      userIndex: userIndex,
+      reason: "A host invited you into the call. Turn on your camera or microphone to take part."
+    });
+    io.to(room.channel).except(socketId).emit("user-role-changed", {
+      socketId: socketId,
+      role: targetState.role,
+      userIndex: userIndex
     });
+    broadcastRoomStatus(room);
+
+    console.log(`⬆️ Viewer ${socketId} promoted to participant (scr${userIndex}) in room ${room.id}`);
+    return { success: true, userIndex };
+  });
+
+  onRequest(socket, "remove-participant", ({ socketId, ban, reason }) => {
+    const { hostState, targetState } = getModerationTarget(socketId);
+    const targetSocket = io.sockets.sockets.get(socketId);
+
+    if (ban) {
+      room.bannedKeys.add(targetState.banKey);
+    }
+
+    io.to(socketId).emit("removed-from-room", {
+      by: hostState.name,
+      banned: Boolean(ban),
+      reason: moderationReason(reason, `You were removed from the conference by ${hostState.name}`)
+    });
+    if (targetSocket) {
+      targetSocket.disconnect(true);
+    } else if (room.reconnecting.has(socketId)) {
+      // Dropped connection - end the grace period so the session cannot be resumed
+      leaveRoom(room, socketId);
+    }
+
+    console.log(`⛔ Host ${socket.id} removed ${socketId} from room ${room.id}${ban ? ' and blocked rejoining' : ''}`);
+    return { success: true };
+  });
+
+  // Media signaling - every request is bound to the calling socket
+  const getOwnTransport = (transportId) => {
+    const transportData = room.transports.get(transportId);
+    if (!transportData || transportData.socketId !== socket.id) {
+      throw new Error("Transport not found");
+    }
+    return transportData;
+  };
+
+  onRequest(socket, "get-router-rtp-capabilities", () => room.router.rtpCapabilities);
+
+  onRequest(socket, "create-transport", async ({ direction }) => {
+    if (direction !== 'send' && direction !== 'recv') {
+      throw new Error("Invalid transport direction");
+    }
+
+    // Only users holding a slot in the room may send media
+    if (direction === 'send') {
+      const userState = room.getUserBySocketId(socket.id);
+      if (!userState) {
+        throw new Error(`Room is full. Maximum ${config.maxUsers} users allowed.`);
+      }
+      const permissions = getPermissions(userState.role);
+      if (!permissions.produceAudio && !permissions.produceVideo && !permissions.shareScreen) {
+        throw new Error("Your role is not allowed to send media");
+      }
+    }
+
+    // Each client receives everything over one transport; a new one replaces the old
+    const previousRecvTransport = direction === 'recv' ? room.getUserTransport(socket.id, 'recv') : null;
+    if (previousRecvTransport) {
+      previousRecvTransport.transport.close();
+      room.transports.delete(previousRecvTransport.transport.id);
+    }
+
+    let transport;
+    try {
+      transport = await room.router.createWebRtcTransport(getWebRtcTransportOptions());
+    } catch (error) {
+      Metrics.recordJoinFailure('transport_error');
+      throw error;
+    }
 
-    // Update room status IMMEDIATELY after removal
-    io.emit('room-status', {
-      userCount: RoomState.users.size,
-      maxUsers: RoomState.MAX_USERS,
-      screenShareCount: RoomState.getScreenShareCount()
+    room.transports.set(transport.id, {
+      transport,
+      socketId: socket.id,
+      direction
     });
 
-    console.log(`🗑️ Removed ${removedProducers.length} screen producers for ${socket.id}, current sreen shares: ${RoomState.getScreenShareCount()}`);
+    console.log(`🚚 Created ${direction} transport for ${socket.id} in ${room.id}: ${transport.id}`);
+
+    return {
+      id: transport.id,
+      iceParameters: transport.iceParameters,
+      iceCandidates: transport.iceCandidates,
+      dtlsParameters: transport.dtlsParameters,
+    };
+  });
+
+  onRequest(socket, "connect-transport", async ({ transportId, dtlsParameters }) => {
+    const transportData = getOwnTransport(transportId);
+    try {
+      await transportData.transport.connect({ dtlsParameters });
+    } catch (error) {
+      Metrics.recordJoinFailure('transport_error');
+      throw error;
+    }
+    return { success: true };
   });
 
-  socket.on("disconnect", () => {
-    console.log("❌ Peer disconnected:", socket.id);
+  // Server view of the caller's transports, shown in the client stats overlay
+  onRequest(socket, "get-transport-stats", async () => {
+    const ownTransports = Array.from(room.transports.values()).filter(transportData => transportData.socketId === socket.id);
+
+    const transports = await Promise.all(ownTransports.map(async ({ transport, direction }) => {
+      const [stats] = await transport.getStats();
+      return {
+        transportId: transport.id,
+        direction: direction,
+        iceState: stats.iceState,
+        dtlsState: stats.dtlsState,
+        protocol: stats.iceSelectedTuple ? stats.iceSelectedTuple.protocol : null,
+        recvBitrate: stats.recvBitrate,
+        sendBitrate: stats.sendBitrate,
+        availableOutgoingBitrate: stats.availableOutgoingBitrate || null
+      };
+    }));
+
+    return { transports };
+  });
+
+  // New ICE credentials after the client's network changed
+  onRequest(socket, "restart-ice", async ({ transportId }) => {
+    const transportData = getOwnTransport(transportId);
+    const iceParameters = await transportData.transport.restartIce();
+    return { iceParameters };
+  });
+
+  onRequest(socket, "produce", async ({ transportId, kind, rtpParameters, source }) => {
+    const transportData = getOwnTransport(transportId);
+    const socketId = socket.id;
+    source = source === 'screen' ? 'screen' : 'camera';
+
+    if (transportData.direction !== 'send') {
+      throw new Error("Transport is not a send transport");
+    }
+
+    const userState = room.getUserBySocketId(socketId);
+    const permission = source === 'screen' ? 'shareScreen' : (kind === 'audio' ? 'produceAudio' : 'produceVideo');
+    if (!userState || !can(userState.role, permission)) {
+      throw new Error(source === 'screen' ? "Your role is not allowed to share the screen" : `Your role is not allowed to send ${kind}`);
+    }
 
-    // Get user state before cleanup
-    const userState = RoomState.getUserBySocketId(socket.id);
+    if (source === 'camera' && kind === 'video' && userState.mediaMode === 'audio-only') {
+      throw new Error("Your camera is off in audio-only mode");
+    }
 
-    // Clean up all user resources
-    RoomState.cleanupUser(socket.id);
+    if (source === 'screen') {
+      if (room.getScreenShareCount() >= room.MAX_SCREEN_SHARES) {
+        Metrics.recordJoinFailure('screen_share_limit');
+        throw new Error(`Maximum ${config.maxScreenShares} screen shares allowed`);
+      }
+    }
 
-    // Notify about user left
-    socket.broadcast.emit("user-left", {
-      socketId: socket.id
+    // Camera media that is off (or host-muted) starts paused
+    const producer = await transportData.transport.produce({
+      kind,
+      rtpParameters,
+      paused: source === 'camera' && !userState[kind === 'audio' ? 'audioEnabled' : 'videoEnabled']
     });
+    watchProducerScore(room, producer);
 
-    // Notify about ended presentations for this user
-    RoomState.producers.forEach((producerData, producerId) => {
-      if (producerData.socketId === socket.id && producerData.source === 'screen') {
-        io.emit("presentation-ended", {
-          producerId: producerId
-        });
+    const producerData = {
+      producer,
+      socketId,
+      kind,
+      source
+    };
+
+    const peerName = userState.name;
+
+    if (source === 'screen') {
+      registerPresentation(room, producerData, peerName);
+    } else {
+      room.producers.set(producer.id, producerData);
+      if (kind === 'audio') {
+        await observeSpeaker(room, producer);
       }
+      addProducerToOutputs(room, producer.id);
+
+      console.log(`🎥 New ${kind} producer from ${socketId} in ${room.id}: ${producer.id} (${source})`);
+
+      // Notify about new user producer - Broadcast to the room except sender
+      socket.to(room.channel).emit("new-producer", {
+        id: producer.id,
+        socketId: socketId,
+        kind: kind,
+        source: source,
+        peerName: peerName,
+        userIndex: userState.userIndex
+      });
+    }
+
+    return { id: producer.id };
+  });
+
+  onRequest(socket, "consume", async ({ transportId, producerId, rtpCapabilities }) => {
+    const transportData = getOwnTransport(transportId);
+
+    if (transportData.direction !== 'recv') {
+      throw new Error("Transport is not a receive transport");
+    }
+
+    if (!room.producers.has(producerId)) {
+      throw new Error("Producer not found");
+    }
+
+    if (!room.router.canConsume({ producerId, rtpCapabilities })) {
+      throw new Error("Cannot consume");
+    }
+
+    // Paused until the client has attached the track (see resume-consumer)
+    const consumer = await transportData.transport.consume({
+      producerId,
+      rtpCapabilities,
+      paused: true,
     });
 
-    // Update room status
-    io.emit('room-status', {
-      userCount: RoomState.users.size,
-      maxUsers: RoomState.MAX_USERS,
-      screenShareCount: RoomState.getScreenShareCount()
+    room.consumers.set(consumer.id, {
+      consumer,
+      socketId: socket.id,
+      producerId,
+      transportId,
+      resumed: false // set by resume-consumer once the client has attached the track
     });
+    consumer.observer.on('close', () => {
+      room.consumers.delete(consumer.id);
+    });
+    consumer.on('score', () => emitConsumerScore(room, consumer));
 
-    console.log(`🗑️ Cleaned up resources for ${socket.id}`);
-    if (userState) {
-      console.log(`📊 Released user index: scr${userState.userIndex}`);
+    return {
+      id: consumer.id,
+      producerId: consumer.producerId,
+      kind: consumer.kind,
+      rtpParameters: consumer.rtpParameters,
+    };
+  });
+
+  onRequest(socket, "resume-consumer", async ({ consumerId }) => {
+    const consumerData = room.consumers.get(consumerId);
+    if (!consumerData || consumerData.socketId !== socket.id) {
+      throw new Error("Consumer not found");
     }
-    RoomState.printState();
+
+    const { consumer } = consumerData;
+    consumerData.resumed = true;
+    await applyConsumerState(room, consumerData);
+    // Score events only come on changes, so start the client off with the current one
+    emitConsumerScore(room, consumer);
+    return { success: true };
   });
-});
+
+  // Viewers report how large each video tile is drawn, 0 when it is hidden
+  onRequest(socket, "set-tile-size", async ({ consumerId, height }) => {
+    const consumerData = room.consumers.get(consumerId);
+    if (!consumerData || consumerData.socketId !== socket.id) {
+      throw new Error("Consumer not found");
+    }
+
+    consumerData.tileHeight = height;
+    const layers = await applyConsumerState(room, consumerData);
+    return layers || { spatialLayer: null };
+  });
+
+  // Screen share stop
+  socket.on("stop-screen-share", () => {
+    console.log(`🖥️ User ${socket.id} stopped screen sharing`);
+
+    const removedProducers = endUserPresentations(room, socket.id);
+
+    console.log(`🗑️ Removed ${removedProducers.length} screen producers for ${socket.id}, current screen shares: ${room.getScreenShareCount()}`);
+  });
+
+  socket.on("disconnect", (reason) => {
+    console.log(`❌ Peer disconnected: ${socket.id} (room ${room.id}): ${reason}`);
+
+    // A resumed session took over this user's state
+    if (socket.data.superseded) return;
+
+    // Network drops keep the slot for a grace period, leaving or being removed does not
+    if (RESUMABLE_DISCONNECT_REASONS.includes(reason) && config.reconnectGraceMs > 0 &&
+        room.users.has(socket.id) && rooms.get(room.id) === room) {
+      holdForReconnect(room, socket.id);
+      return;
+    }
+
+    leaveRoom(room, socket.id);
+  });
+}
 
 // Reset state when server starts
 function resetServerState() {
-  RoomState.users.clear();
-  RoomState.transports.clear();
-  RoomState.producers.clear();
-  RoomState.screenProducers.clear();
-  RoomState.availableIndexes = Array.from({ length: config.maxUsers }, (_, i) => i);
-  RoomState.availablePresentationIndexes = Array.from({ length: config.maxScreenShares }, (_, i) => i);
-  RoomState.userCounter = 0;
-  RoomState.presentationCounter = 0;
+  rooms.forEach(room => room.close());
+  rooms.clear();
 
   console.log("🔄 Server state reset complete");
 }
@@ -701,12 +2105,11 @@ function resetServerState() {
 server.listen(config.port, () => {
   resetServerState();
   console.log("🚀 Server running on port", config.port);
-  console.log(`👥 User limit: ${config.maxUsers} users`);
-  console.log(`🖥️ Screen share limit: ${config.maxScreenShares} simultaneous shares`);
+  console.log(`👥 User limit: ${config.maxUsers} users per room`);
+  console.log(`🖥️ Screen share limit: ${config.maxScreenShares} simultaneous shares per room`);
   console.log("✅ STUN servers configured for NAT traversal");
-  console.log(`📊 Available user indexes: [${Array.from({ length: config.maxUsers }, (_, i) => i).join(', ')}]`);
-  console.log(`📊 Available presentation indexes: [${Array.from({ length: config.maxScreenShares }, (_, i) => i).join(', ')}]`);
   console.log(`🌐 URL prefix: ${config.urlPrefix}`);
+  console.log(`🏠 Rooms: ${config.urlPrefix}/r/:roomId (default room: ${config.defaultRoomId})`);
   console.log(`🔌 Socket path: ${config.socketPath}`);
   console.log(`📡 Announced IP: ${config.announcedIp}`);
 });
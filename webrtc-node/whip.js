@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+
+// WHIP (WebRTC-HTTP Ingestion Protocol) SDP handling: the encoder's offer becomes mediasoup
+// producer parameters, and the answer describes our ICE-lite WebRtcTransport.
+// Only what encoders like OBS and ffmpeg send is supported: BUNDLE, rtcp-mux, no trickle ICE.
+
+// "a=fmtp" values, numbers where mediasoup expects them (profile-level-id stays hex)
+function parseFmtp(value) {
+  const parameters = {};
+  value.split(';').forEach(pair => {
+    const [key, ...rest] = pair.trim().split('=');
+    if (!key) return;
+    const raw = rest.join('=');
+    parameters[key] = /^\d+$/.test(raw) && key !== 'profile-level-id' ? Number(raw) : raw;
+  });
+  return parameters;
+}
+
+// Session and media attributes of an SDP offer, media-level ICE/DTLS attributes win
+function parseOffer(sdp) {
+  if (typeof sdp !== 'string' || !sdp.startsWith('v=0')) {
+    throw new Error("Body is not an SDP offer");
+  }
+
+  const session = { fingerprints: [], setup: null, iceUfrag: null, icePwd: null };
+  const media = [];
+  let current = session;
+
+  sdp.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('m=')) {
+      const [kind, port, protocol, ...formats] = line.slice(2).split(' ');
+      current = {
+        kind,
+        port: Number(port),
+        protocol,
+        formats, // payload types for RTP, e.g. "webrtc-datachannel" for SCTP
+        payloadTypes: protocol.includes('RTP') ? formats.map(Number) : [],
+        mid: null,
+        direction: 'sendrecv',
+        fingerprints: [],
+        setup: null,
+        iceUfrag: null,
+        icePwd: null,
+        rtpmaps: new Map(), // payloadType -> { name, clockRate, channels }
+        fmtps: new Map(), // payloadType -> parameters
+        rtcpFeedback: new Map(), // payloadType or '*' -> [{ type, parameter }]
+        extmaps: [],
+        ssrcs: new Map(), // ssrc -> cname
+        ssrcGroups: [],
+        rids: [],
+        rtcpRsize: false
+      };
+      media.push(current);
+      return;
+    }
+    if (!line.startsWith('a=')) return;
+
+    const attribute = line.slice(2);
+    const colon = attribute.indexOf(':');
+    const name = colon === -1 ? attribute : attribute.slice(0, colon);
+    const value = colon === -1 ? '' : attribute.slice(colon + 1);
+
+    switch (name) {
+      case 'ice-ufrag': current.iceUfrag = value; break;
+      case 'ice-pwd': current.icePwd = value; break;
+      case 'setup': current.setup = value; break;
+      case 'fingerprint': {
+        const [algorithm, hash] = value.split(' ');
+        current.fingerprints.push({ algorithm: algorithm.toLowerCase(), value: hash });
+        break;
+      }
+      case 'mid': current.mid = value; break;
+      case 'sendrecv':
+      case 'sendonly':
+      case 'recvonly':
+      case 'inactive':
+        current.direction = name;
+        break;
+      case 'rtcp-rsize': current.rtcpRsize = true; break;
+      case 'rtpmap': {
+        const [payloadType, encoding] = value.split(' ');
+        const [codecName, clockRate, channels] = encoding.split('/');
+        current.rtpmaps.set(Number(payloadType), {
+          name: codecName,
+          clockRate: Number(clockRate),
+          channels: channels ? Number(channels) : undefined
+        });
+        break;
+      }
+      case 'fmtp': {
+        const space = value.indexOf(' ');
+        current.fmtps.set(Number(value.slice(0, space)), parseFmtp(value.slice(space + 1)));
+        break;
+      }
+      case 'rtcp-fb': {
+        const [payloadType, type, parameter] = value.split(' ');
+        const key = payloadType === '*' ? '*' : Number(payloadType);
+        if (!current.rtcpFeedback.has(key)) current.rtcpFeedback.set(key, []);
+        current.rtcpFeedback.get(key).push({ type, parameter: parameter || '' });
+        break;
+      }
+      case 'extmap': {
+        const [id, uri] = value.split(' ');
+        current.extmaps.push({ id: parseInt(id), uri });
+        break;
+      }
+      case 'ssrc': {
+        const [ssrc, ...rest] = value.split(' ');
+        const cname = /^cname:(.+)$/.exec(rest.join(' '));
+        if (!current.ssrcs.has(Number(ssrc)) || cname) {
+          current.ssrcs.set(Number(ssrc), cname ? cname[1] : null);
+        }
+        break;
+      }
+      case 'ssrc-group': {
+        const [semantics, ...ssrcs] = value.split(' ');
+        current.ssrcGroups.push({ semantics, ssrcs: ssrcs.map(Number) });
+        break;
+      }
+      case 'rid': {
+        const [id, direction] = value.split(' ');
+        current.rids.push({ id, direction });
+        break;
+      }
+    }
+  });
+
+  if (media.length === 0) {
+    throw new Error("Offer has no media");
+  }
+  media.forEach(section => {
+    section.iceUfrag = section.iceUfrag || session.iceUfrag;
+    section.icePwd = section.icePwd || session.icePwd;
+    section.setup = section.setup || session.setup;
+    if (section.fingerprints.length === 0) section.fingerprints = session.fingerprints;
+  });
+  if (!media[0].iceUfrag || !media[0].icePwd || media[0].fingerprints.length === 0) {
+    throw new Error("Offer has no ICE credentials or DTLS fingerprint");
+  }
+  return { media };
+}
+
+// Whether an offered media section can become a producer at all
+function isIngestible(section) {
+  return (section.kind === 'audio' || section.kind === 'video') &&
+    section.port !== 0 &&
+    section.mid !== null &&
+    (section.direction === 'sendonly' || section.direction === 'sendrecv');
+}
+
+// Producer rtpParameters for a media section, one per offered codec the router knows, in the
+// encoder's order of preference. mediasoup has the final say (e.g. on H264 profiles) in produce().
+function getRtpParameterCandidates(section, routerCapabilities) {
+  const { kind } = section;
+  const routerCodecs = routerCapabilities.codecs.filter(codec => codec.kind === kind);
+  const headerExtensions = section.extmaps
+    .filter(extmap => routerCapabilities.headerExtensions.some(ext => ext.kind === kind && ext.uri === extmap.uri))
+    .map(({ uri, id }) => ({ uri, id }));
+
+  const sendRids = section.rids.filter(rid => rid.direction === 'send');
+  const fidGroup = section.ssrcGroups.find(group => group.semantics === 'FID');
+  const primarySsrc = fidGroup ? fidGroup.ssrcs[0] : section.ssrcs.keys().next().value;
+  if (sendRids.length === 0 && primarySsrc === undefined) {
+    throw new Error(`The ${kind} section has neither SSRCs nor RIDs`);
+  }
+
+  const getFeedback = (payloadType) => [
+    ...(section.rtcpFeedback.get('*') || []),
+    ...(section.rtcpFeedback.get(payloadType) || [])
+  ];
+
+  const candidates = [];
+  section.payloadTypes.forEach(payloadType => {
+    const rtpmap = section.rtpmaps.get(payloadType);
+    if (!rtpmap || /^(rtx|red|ulpfec|flexfec-03)$/i.test(rtpmap.name)) return;
+
+    const mimeType = `${kind}/${rtpmap.name}`;
+    const supported = routerCodecs.some(codec =>
+      codec.mimeType.toLowerCase() === mimeType.toLowerCase() &&
+      codec.clockRate === rtpmap.clockRate &&
+      (kind !== 'audio' || (codec.channels || 1) === (rtpmap.channels || 1)));
+    if (!supported) return;
+
+    const codecs = [{
+      mimeType,
+      payloadType,
+      clockRate: rtpmap.clockRate,
+      ...(kind === 'audio' && rtpmap.channels ? { channels: rtpmap.channels } : {}),
+      parameters: section.fmtps.get(payloadType) || {},
+      rtcpFeedback: getFeedback(payloadType)
+    }];
+
+    // Retransmissions come on their own payload type ("apt" points at the media one)
+    const rtxPayloadType = section.payloadTypes.find(pt => {
+      const map = section.rtpmaps.get(pt);
+      const fmtp = section.fmtps.get(pt);
+      return map && /^rtx$/i.test(map.name) && fmtp && fmtp.apt === payloadType;
+    });
+    if (rtxPayloadType !== undefined) {
+      codecs.push({
+        mimeType: `${kind}/rtx`,
+        payloadType: rtxPayloadType,
+        clockRate: rtpmap.clockRate,
+        parameters: { apt: payloadType },
+        rtcpFeedback: []
+      });
+    }
+
+    let encodings;
+    if (sendRids.length > 0) {
+      encodings = sendRids.map(rid => ({ rid: rid.id }));
+    } else {
+      encodings = [{ ssrc: primarySsrc }];
+      if (rtxPayloadType !== undefined && fidGroup) {
+        encodings[0].rtx = { ssrc: fidGroup.ssrcs[1] };
+      }
+    }
+
+    candidates.push({
+      mid: section.mid,
+      codecs,
+      headerExtensions,
+      encodings,
+      rtcp: {
+        cname: section.ssrcs.get(primarySsrc) || crypto.randomBytes(8).toString('hex'),
+        reducedSize: section.rtcpRsize,
+        mux: true
+      }
+    });
+  });
+  return candidates;
+}
+
+// DTLS parameters of the encoder for transport.connect(); it is usually "actpass", so we take the server role
+function getRemoteDtlsParameters(offer) {
+  const { setup, fingerprints } = offer.media[0];
+  return {
+    role: setup === 'passive' ? 'server' : 'client',
+    fingerprints
+  };
+}
+
+// SDP answer: accepted sections receive on the transport, the others are rejected with port 0.
+// accepted maps a section index to the rtpParameters the producer was created with.
+function createAnswer(offer, accepted, transport) {
+  const { iceParameters, iceCandidates, dtlsParameters } = transport;
+  const remoteDtls = getRemoteDtlsParameters(offer);
+  const fingerprint = dtlsParameters.fingerprints.find(fp => fp.algorithm === 'sha-256') || dtlsParameters.fingerprints[0];
+  const mids = offer.media.filter((section, index) => accepted.has(index)).map(section => section.mid);
+
+  const lines = [
+    'v=0',
+    `o=- ${Date.now()} 1 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    'a=ice-lite',
+    `a=group:BUNDLE ${mids.join(' ')}`,
+    `a=fingerprint:${fingerprint.algorithm} ${fingerprint.value}`
+  ];
+
+  offer.media.forEach((section, index) => {
+    const rtpParameters = accepted.get(index);
+    if (!rtpParameters) {
+      lines.push(`m=${section.kind} 0 ${section.protocol} ${section.formats.join(' ')}`);
+      lines.push('c=IN IP4 0.0.0.0');
+      if (section.mid !== null) lines.push(`a=mid:${section.mid}`);
+      lines.push('a=inactive');
+      return;
+    }
+
+    lines.push(`m=${section.kind} 9 UDP/TLS/RTP/SAVPF ${rtpParameters.codecs.map(codec => codec.payloadType).join(' ')}`);
+    lines.push('c=IN IP4 0.0.0.0');
+    lines.push(`a=ice-ufrag:${iceParameters.usernameFragment}`);
+    lines.push(`a=ice-pwd:${iceParameters.password}`);
+    iceCandidates.forEach(candidate => {
+      const tcpType = candidate.tcpType ? ` tcptype ${candidate.tcpType}` : '';
+      lines.push(`a=candidate:${candidate.foundation} 1 ${candidate.protocol} ${candidate.priority} ` +
+        `${candidate.address || candidate.ip} ${candidate.port} typ ${candidate.type}${tcpType}`);
+    });
+    lines.push('a=end-of-candidates');
+    lines.push(`a=setup:${remoteDtls.role === 'server' ? 'active' : 'passive'}`);
+    lines.push(`a=mid:${section.mid}`);
+    lines.push('a=recvonly');
+    lines.push('a=rtcp-mux');
+    if (section.rtcpRsize) lines.push('a=rtcp-rsize');
+    rtpParameters.headerExtensions.forEach(ext => lines.push(`a=extmap:${ext.id} ${ext.uri}`));
+
+    rtpParameters.codecs.forEach(codec => {
+      const channels = codec.channels > 1 ? `/${codec.channels}` : '';
+      lines.push(`a=rtpmap:${codec.payloadType} ${codec.mimeType.split('/')[1]}/${codec.clockRate}${channels}`);
+      const fmtp = Object.entries(codec.parameters).map(([key, value]) => `${key}=${value}`).join(';');
+      if (fmtp) lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+      codec.rtcpFeedback.forEach(fb => {
+        lines.push(`a=rtcp-fb:${codec.payloadType} ${fb.type}${fb.parameter ? ` ${fb.parameter}` : ''}`);
+      });
+    });
+
+    const sendRids = section.rids.filter(rid => rid.direction === 'send');
+    if (sendRids.length > 0) {
+      sendRids.forEach(rid => lines.push(`a=rid:${rid.id} recv`));
+      lines.push(`a=simulcast:recv ${sendRids.map(rid => rid.id).join(';')}`);
+    }
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseOffer,
+  isIngestible,
+  getRtpParameterCandidates,
+  getRemoteDtlsParameters,
+  createAnswer
+};
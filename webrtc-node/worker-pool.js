@@ -0,0 +1,94 @@
+const mediasoup = require("mediasoup");
+const config = require("./config");
+
+// Pool of mediasoup workers - routers are placed on the least-loaded worker
+const WorkerPool = {
+  entries: [], // slot -> { worker, routers: Set<Router>, transportCount }
+  onWorkerDied: null, // (deadRouters: Set<Router>) => void
+
+  async init(size = config.numWorkers) {
+    for (let slot = 0; slot < size; slot++) {
+      await this.createWorkerAt(slot);
+    }
+    console.log(`✅ Mediasoup worker pool ready: ${this.entries.length} workers`);
+  },
+
+  async createWorkerAt(slot) {
+    const worker = await mediasoup.createWorker({
+      rtcMinPort: config.rtcMinPort,
+      rtcMaxPort: config.rtcMaxPort
+    });
+    const entry = { worker, routers: new Set(), transportCount: 0 };
+    this.entries[slot] = entry;
+
+    worker.on('died', (error) => {
+      console.error(`💀 Mediasoup worker ${worker.pid} died:`, error);
+      this.replaceWorker(slot, entry);
+    });
+
+    console.log(`👷 Mediasoup worker ${worker.pid} started in slot ${slot}`);
+    return entry;
+  },
+
+  // Start a fresh worker in the slot and report the routers that went down with the old one
+  async replaceWorker(slot, deadEntry) {
+    if (this.entries[slot] !== deadEntry) return;
+    this.entries[slot] = null;
+
+    if (this.onWorkerDied) {
+      this.onWorkerDied(deadEntry.routers);
+    }
+
+    try {
+      await this.createWorkerAt(slot);
+    } catch (error) {
+      console.error(`Failed to replace mediasoup worker in slot ${slot}:`, error);
+    }
+  },
+
+  // Load is measured in live transports, router count breaks ties
+  getLeastLoaded() {
+    let best = null;
+    this.entries.forEach(entry => {
+      if (!entry) return;
+      if (!best ||
+          entry.transportCount < best.transportCount ||
+          (entry.transportCount === best.transportCount && entry.routers.size < best.routers.size)) {
+        best = entry;
+      }
+    });
+    return best;
+  },
+
+  async createRouter(options) {
+    const entry = this.getLeastLoaded();
+    if (!entry) {
+      throw new Error("Media server is not ready");
+    }
+
+    const router = await entry.worker.createRouter(options);
+    entry.routers.add(router);
+
+    router.observer.on('newtransport', (transport) => {
+      entry.transportCount++;
+      transport.observer.on('close', () => {
+        entry.transportCount--;
+      });
+    });
+    router.observer.on('close', () => {
+      // Keep the routers of a dead worker so they can be reported
+      if (!entry.worker.died) {
+        entry.routers.delete(router);
+      }
+    });
+
+    console.log(`🧭 Router ${router.id} placed on worker ${entry.worker.pid} (${entry.routers.size} routers, ${entry.transportCount} transports)`);
+    return router;
+  },
+
+  getWorkers() {
+    return this.entries.filter(Boolean).map(entry => entry.worker);
+  }
+};
+
+module.exports = WorkerPool;